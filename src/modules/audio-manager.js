@@ -8,6 +8,8 @@ export class AudioManager {
       enabled: options.enabled !== false,
       volume: Math.max(0, Math.min(1, options.volume || 0.5)),
       pageFlipSound: options.pageFlipSound || null,
+      coverFlipSound: options.coverFlipSound || null,
+      onChange: options.onChange || null,
       ...options
     };
     
@@ -31,6 +33,9 @@ export class AudioManager {
     if (this.options.pageFlipSound) {
       this.loadSound('pageFlip', this.options.pageFlipSound);
     }
+    if (this.options.coverFlipSound) {
+      this.loadSound('coverFlip', this.options.coverFlipSound);
+    }
   }
   
   /**
@@ -85,8 +90,12 @@ export class AudioManager {
     const sound = this.sounds.get(name);
     
     if (!sound) {
-      // Fallback: sentetik ses çal
-      this._playSyntheticFlipSound();
+      // Fallback: sentetik ses çal (kapak için daha tok ve uzun)
+      if (name === 'coverFlip') {
+        this._playSyntheticFlipSound(600, 0.25);
+      } else {
+        this._playSyntheticFlipSound();
+      }
       return;
     }
     
@@ -112,6 +121,13 @@ export class AudioManager {
     await this.play('pageFlip');
   }
   
+  /**
+   * Sert kapak çevirme sesi çal
+   */
+  async playCoverFlip() {
+    await this.play('coverFlip');
+  }
+  
   _playSyntheticSound(frequency, duration) {
     if (!this.audioContext) return;
     
@@ -135,12 +151,11 @@ export class AudioManager {
     }
   }
   
-  _playSyntheticFlipSound() {
+  _playSyntheticFlipSound(frequency = 2000, duration = 0.15) {
     if (!this.audioContext) return;
     
     try {
       // Sayfa çevirme benzeri bir ses oluştur
-      const duration = 0.15;
       const now = this.audioContext.currentTime;
       
       // Gürültü bufferı oluştur
@@ -158,7 +173,7 @@ export class AudioManager {
       // Filtre ekle
       const filter = this.audioContext.createBiquadFilter();
       filter.type = 'bandpass';
-      filter.frequency.value = 2000;
+      filter.frequency.value = frequency;
       filter.Q.value = 1;
       
       const gainNode = this.audioContext.createGain();
@@ -188,6 +203,8 @@ export class AudioManager {
         sound.volume = this.volume;
       }
     });
+    
+    this._notifyChange();
   }
   
   /**
@@ -204,6 +221,7 @@ export class AudioManager {
    */
   setEnabled(enabled) {
     this.enabled = enabled;
+    this._notifyChange();
   }
   
   /**
@@ -220,9 +238,16 @@ export class AudioManager {
    */
   toggle() {
     this.enabled = !this.enabled;
+    this._notifyChange();
     return this.enabled;
   }
   
+  _notifyChange() {
+    if (this.options.onChange) {
+      this.options.onChange(this.enabled, this.volume);
+    }
+  }
+  
   /**
    * AudioContext'i resume et (kullanıcı etkileşimi sonrası gerekebilir)
    */
@@ -1,26 +1,62 @@
+import { createBookmarkStorage } from './bookmark-storage.js';
+
+// Dışa aktarılan JSON belgesinin biçimi
+const EXPORT_FORMAT = 'simsek-book-bookmarks';
+const EXPORT_VERSION = 1;
+
 /**
  * BookmarkManager - Page Bookmarking Module
- * Persist bookmarks to LocalStorage
+ * Persist bookmarks through a storage adapter (LocalStorage by default)
  */
 export class BookmarkManager {
   constructor(options = {}) {
     this.options = {
       enabled: options.enabled !== false,
       storageKey: options.storageKey || 'simsek-book-bookmarks',
+      storage: options.storage || 'local',
       bookId: options.bookId || 'default',
       onBookmark: options.onBookmark || null,
       onRemove: options.onRemove || null,
+      onLoad: options.onLoad || null,
+      onUpdate: options.onUpdate || null,
+      sync: options.sync || false,
+      onPosition: options.onPosition || null,
+      colors: options.colors || ['#ff4444', '#ff9f1a', '#2ecc71', '#3498db', '#9b59b6'],
       ...options
     };
     
-    this.bookmarks = new Set();
+    // Sayfa numarası → { page, title, note, color, createdAt, updatedAt }
+    this.bookmarks = new Map();
+    
+    // Bu oturumda eklenen/silinen sayfalar ({ fromPage, offset }, sırayla).
+    // Depo ve diğer sekmeler kitabın asıl sayfa numaralarını görür.
+    this.pageShifts = [];
+    // Oturumda silinen sayfaların işaretleri, asıl numaralarıyla; kayıtta korunur
+    this.hiddenRecords = new Map();
+    
+    // Sekmeler arası senkronizasyon
+    this.channel = null;
+    this._boundHandleStorage = this._handleStorageEvent.bind(this);
+    
+    // Dışarıdan verilen adaptörün yaşam döngüsü çağırana aittir
+    this.ownsStorage = typeof this.options.storage === 'string';
+    this.storage = createBookmarkStorage(this.options.storage, {
+      keyPrefix: this.options.storageKey
+    });
+    
+    // Yükleme tamamlanınca çözülür
+    this.ready = Promise.resolve();
+    this.isLoaded = false;
     
     this._init();
   }
   
   _init() {
     if (this.options.enabled) {
-      this._loadFromStorage();
+      this.ready = this._loadFromStorage();
+    }
+    if (this.options.sync) {
+      this._openSyncChannel();
     }
   }
   
@@ -28,38 +64,313 @@ export class BookmarkManager {
     return `${this.options.storageKey}-${this.options.bookId}`;
   }
   
-  _loadFromStorage() {
+  _getSyncKey() {
+    return `${this._getStorageKey()}-sync`;
+  }
+  
+  _openSyncChannel() {
+    // BroadcastChannel yoksa localStorage üzerinden storage olayı kullanılır
+    if (typeof BroadcastChannel !== 'undefined') {
+      this.channel = new BroadcastChannel(this._getSyncKey());
+      this.channel.onmessage = (e) => this._handleSyncMessage(e.data);
+    } else if (typeof window !== 'undefined') {
+      window.addEventListener('storage', this._boundHandleStorage);
+    }
+  }
+  
+  _closeSyncChannel() {
+    if (this.channel) {
+      this.channel.close();
+      this.channel = null;
+    }
+    if (typeof window !== 'undefined') {
+      window.removeEventListener('storage', this._boundHandleStorage);
+    }
+  }
+  
+  _handleStorageEvent(e) {
+    if (e.key !== this._getSyncKey() || !e.newValue) return;
+    
+    try {
+      this._handleSyncMessage(JSON.parse(e.newValue));
+    } catch (error) {
+      console.warn('Failed to read bookmark sync message:', error);
+    }
+  }
+  
+  _broadcast(message) {
+    if (!this.options.sync) return;
+    
     try {
-      const stored = localStorage.getItem(this._getStorageKey());
-      if (stored) {
-        const bookmarks = JSON.parse(stored);
-        this.bookmarks = new Set(bookmarks);
+      if (this.channel) {
+        this.channel.postMessage(message);
+      } else {
+        // Aynı değer tekrar yazılırsa storage olayı tetiklenmez, nonce ekle
+        localStorage.setItem(this._getSyncKey(), JSON.stringify({ ...message, nonce: Math.random() }));
       }
     } catch (error) {
-      console.warn('Failed to load bookmarks from localStorage:', error);
+      console.warn('Failed to broadcast bookmark change:', error);
+    }
+  }
+  
+  /**
+   * Diğer sekmeden gelen değişikliği uygula
+   * Aynı sayfada en son yazan kazanır (updatedAt)
+   * @param {Object} message - { type: 'set' | 'remove' | 'replace' | 'position', ... }
+   */
+  _handleSyncMessage(message) {
+    if (!message || message.bookId !== this.options.bookId) return;
+    
+    switch (message.type) {
+      case 'set': {
+        const normalized = this._normalizeRecord(message.record);
+        const record = normalized && this._toSessionRecord(normalized);
+        if (!record) return;
+        
+        const local = this.bookmarks.get(record.page);
+        if (local && (local.updatedAt || 0) > (record.updatedAt || 0)) return;
+        
+        this.bookmarks.set(record.page, record);
+        if (!local && this.options.onBookmark) {
+          this.options.onBookmark(record.page, true);
+        } else if (local && this.options.onUpdate) {
+          this.options.onUpdate(record.page, { ...record });
+        }
+        break;
+      }
+      
+      case 'remove': {
+        const page = this._toSessionPage(message.page);
+        if (page === null) {
+          this.hiddenRecords.delete(message.page);
+          return;
+        }
+        
+        const local = this.bookmarks.get(page);
+        if (!local || (local.updatedAt || 0) > message.updatedAt) return;
+        
+        this.bookmarks.delete(page);
+        if (this.options.onRemove) {
+          this.options.onRemove(page, false);
+        }
+        break;
+      }
+      
+      case 'replace': {
+        if (!Array.isArray(message.records)) return;
+        
+        const next = new Map();
+        this.hiddenRecords = new Map();
+        message.records.forEach((entry) => {
+          const normalized = this._normalizeRecord(entry);
+          const record = normalized && this._toSessionRecord(normalized);
+          if (record) next.set(record.page, record);
+        });
+        this._replaceAll(next);
+        break;
+      }
+      
+      case 'position': {
+        const page = Number.isInteger(message.page) ? this._toSessionPage(message.page) : null;
+        if (page !== null && this.options.onPosition) {
+          this.options.onPosition(page);
+        }
+        break;
+      }
+    }
+  }
+  
+  _replaceAll(next) {
+    const removed = Array.from(this.bookmarks.keys()).filter((page) => !next.has(page));
+    this.bookmarks = next;
+    
+    this._notifyRemoved(removed);
+    if (this.options.onLoad) {
+      this.options.onLoad(this.getAll());
+    }
+  }
+  
+  _notifyRemoved(pageNumbers) {
+    if (this.options.onRemove) {
+      pageNumbers.forEach((pageNumber) => this.options.onRemove(pageNumber, false));
+    }
+  }
+  
+  _broadcastRecord(record) {
+    // Yalnızca bu sekmede eklenmiş sayfaların işaretleri diğer sekmelere gitmez
+    const stored = this._toStoredRecord(record);
+    if (stored) {
+      this._broadcast({ type: 'set', bookId: this.options.bookId, record: stored });
+    }
+  }
+  
+  _broadcastAll() {
+    this._broadcast({ type: 'replace', bookId: this.options.bookId, records: this._getStoredRecords() });
+  }
+  
+  /**
+   * Asıl sayfa numarasını bu oturumdaki numaraya çevir
+   * @param {number} pageNumber - Depodaki sayfa numarası
+   * @returns {number|null} - Sayfa bu oturumda silindiyse null
+   */
+  _toSessionPage(pageNumber) {
+    return this.pageShifts.reduce((page, { fromPage, offset }) => {
+      if (page === null || page < fromPage) return page;
+      if (offset < 0 && page < fromPage - offset) return null;
+      return page + offset;
+    }, pageNumber);
+  }
+  
+  /**
+   * Oturumdaki sayfa numarasını asıl numaraya çevir
+   * @param {number} pageNumber - Bu oturumdaki sayfa numarası
+   * @returns {number|null} - Sayfa bu oturumda eklendiyse null
+   */
+  _toStoredPage(pageNumber) {
+    return this.pageShifts.reduceRight((page, { fromPage, offset }) => {
+      if (page === null || page < fromPage) return page;
+      if (offset > 0 && page < fromPage + offset) return null;
+      return page - offset;
+    }, pageNumber);
+  }
+  
+  _toStoredRecord(record) {
+    const page = this._toStoredPage(record.page);
+    return page === null ? null : { ...record, page };
+  }
+  
+  _getStoredRecords() {
+    // Oturumda eklenen sayfaların işaretleri kaydedilmez, silinenlerinki korunur
+    const records = new Map(this.hiddenRecords);
+    this.getRecords().forEach((record) => {
+      const stored = this._toStoredRecord(record);
+      if (stored) records.set(stored.page, stored);
+    });
+    return Array.from(records.values()).sort((a, b) => a.page - b.page);
+  }
+  
+  /**
+   * Depodaki veya diğer sekmeden gelen kaydı bu oturuma al
+   * @param {Object} record - Asıl sayfa numaralı kayıt
+   * @returns {Object|null} - Sayfası bu oturumda silindiyse null (kayıt saklanır)
+   */
+  _toSessionRecord(record) {
+    const page = this._toSessionPage(record.page);
+    if (page === null) {
+      this.hiddenRecords.set(record.page, record);
+      return null;
     }
+    return { ...record, page };
   }
   
-  _saveToStorage() {
+  /**
+   * Mevcut sayfayı diğer sekmelere bildir (sync açıkken)
+   * @param {number} pageNumber - Sayfa numarası
+   */
+  broadcastPosition(pageNumber) {
+    const page = this._toStoredPage(pageNumber);
+    if (page === null) return;
+    
+    this._broadcast({ type: 'position', bookId: this.options.bookId, page });
+  }
+  
+  async _loadFromStorage() {
+    const { bookId } = this.options;
+    
+    try {
+      const stored = await this.storage.load(bookId);
+      
+      // Yükleme sürerken kitap değiştiyse sonucu at
+      if (bookId !== this.options.bookId) return;
+      
+      const pending = this.bookmarks.size > 0;
+      if (Array.isArray(stored)) {
+        const loaded = new Map();
+        stored.forEach((entry) => {
+          const normalized = this._normalizeRecord(entry);
+          const record = normalized && this._toSessionRecord(normalized);
+          if (record) loaded.set(record.page, record);
+        });
+        
+        // Yükleme sırasında eklenen işaretler kaybolmasın
+        this.bookmarks.forEach((record, page) => loaded.set(page, record));
+        this.bookmarks = loaded;
+      }
+      this.isLoaded = true;
+      
+      // Yükleme öncesi yapılan kayıt eksik veriyle yazılmış olabilir
+      if (pending) {
+        this._saveToStorage();
+      }
+      
+      if (this.options.onLoad) {
+        this.options.onLoad(this.getAll());
+      }
+    } catch (error) {
+      console.warn('Failed to load bookmarks from storage:', error);
+    }
+  }
+  
+  async _saveToStorage() {
     try {
-      const bookmarks = Array.from(this.bookmarks);
-      localStorage.setItem(this._getStorageKey(), JSON.stringify(bookmarks));
+      const bookmarks = this._getStoredRecords();
+      await this.storage.save(this.options.bookId, bookmarks);
     } catch (error) {
-      console.warn('Failed to save bookmarks to localStorage:', error);
+      console.warn('Failed to save bookmarks to storage:', error);
+    }
+  }
+  
+  /**
+   * Kayıtlı veriyi işaret kaydına çevir
+   * Eski sürümler yalnızca sayfa numarası saklıyordu
+   * @param {number|Object} entry - Sayfa numarası veya kayıt
+   * @returns {Object|null} - Geçersizse null
+   */
+  _normalizeRecord(entry) {
+    const source = typeof entry === 'number' ? { page: entry } : entry;
+    if (!source || !Number.isInteger(source.page) || source.page < 0) return null;
+    
+    return {
+      page: source.page,
+      title: typeof source.title === 'string' ? source.title : '',
+      note: typeof source.note === 'string' ? source.note : '',
+      color: typeof source.color === 'string' ? source.color : null,
+      createdAt: typeof source.createdAt === 'number' ? source.createdAt : null,
+      updatedAt: typeof source.updatedAt === 'number' ? source.updatedAt : (source.createdAt || null)
+    };
+  }
+  
+  _pickFields(fields) {
+    const picked = {};
+    
+    ['title', 'note'].forEach((key) => {
+      if (typeof fields[key] === 'string') picked[key] = fields[key].trim();
+    });
+    if (typeof fields.color === 'string' || fields.color === null) {
+      picked.color = fields.color;
     }
+    
+    return picked;
   }
   
   /**
    * Sayfa işaretle
    * @param {number} pageNumber - Sayfa numarası
+   * @param {Object} [fields] - { title, note, color }
    * @returns {boolean} - Başarılı mı
    */
-  add(pageNumber) {
+  add(pageNumber, fields = {}) {
     if (!this.options.enabled) return false;
     
     if (!this.bookmarks.has(pageNumber)) {
-      this.bookmarks.add(pageNumber);
+      const now = Date.now();
+      const record = {
+        ...this._normalizeRecord({ page: pageNumber, createdAt: now, updatedAt: now }),
+        ...this._pickFields(fields)
+      };
+      this.bookmarks.set(pageNumber, record);
       this._saveToStorage();
+      this._broadcastRecord(record);
       
       if (this.options.onBookmark) {
         this.options.onBookmark(pageNumber, true);
@@ -82,6 +393,10 @@ export class BookmarkManager {
     if (this.bookmarks.has(pageNumber)) {
       this.bookmarks.delete(pageNumber);
       this._saveToStorage();
+      const storedPage = this._toStoredPage(pageNumber);
+      if (storedPage !== null) {
+        this._broadcast({ type: 'remove', bookId: this.options.bookId, page: storedPage, updatedAt: Date.now() });
+      }
       
       if (this.options.onRemove) {
         this.options.onRemove(pageNumber, false);
@@ -93,6 +408,41 @@ export class BookmarkManager {
     return false;
   }
   
+  /**
+   * İşaretin başlık, not veya rengini güncelle
+   * @param {number} pageNumber - Sayfa numarası
+   * @param {Object} fields - { title, note, color }
+   * @returns {boolean} - Başarılı mı
+   */
+  update(pageNumber, fields = {}) {
+    if (!this.options.enabled || !this.bookmarks.has(pageNumber)) return false;
+    
+    const record = {
+      ...this.bookmarks.get(pageNumber),
+      ...this._pickFields(fields),
+      updatedAt: Date.now()
+    };
+    this.bookmarks.set(pageNumber, record);
+    this._saveToStorage();
+    this._broadcastRecord(record);
+    
+    if (this.options.onUpdate) {
+      this.options.onUpdate(pageNumber, { ...record });
+    }
+    
+    return true;
+  }
+  
+  /**
+   * İşaret kaydını al
+   * @param {number} pageNumber - Sayfa numarası
+   * @returns {Object|null} - { page, title, note, color, createdAt }
+   */
+  get(pageNumber) {
+    const record = this.bookmarks.get(pageNumber);
+    return record ? { ...record } : null;
+  }
+  
   /**
    * Toggle bookmark
    * @param {number} pageNumber - Sayfa numarası
@@ -122,7 +472,23 @@ export class BookmarkManager {
    * @returns {Array<number>} - Sıralı sayfa numaraları
    */
   getAll() {
-    return Array.from(this.bookmarks).sort((a, b) => a - b);
+    return Array.from(this.bookmarks.keys()).sort((a, b) => a - b);
+  }
+  
+  /**
+   * Tüm işaret kayıtlarını al
+   * @returns {Array<Object>} - Sayfaya göre sıralı kayıtlar
+   */
+  getRecords() {
+    return this.getAll().map((pageNumber) => ({ ...this.bookmarks.get(pageNumber) }));
+  }
+  
+  _getDisplayTitle(record) {
+    return record.title || `Page ${record.page + 1}`;
+  }
+  
+  _getDisplayColor(record) {
+    return record && record.color ? record.color : 'var(--simsek-bookmark-color, #ff4444)';
   }
   
   /**
@@ -133,12 +499,159 @@ export class BookmarkManager {
     return this.bookmarks.size;
   }
   
+  /**
+   * Sayfa ekleme/silme sonrası işaret numaralarını kaydır
+   * Kaydırma yalnızca bu oturumda geçerlidir: depo ve diğer sekmeler asıl
+   * numaraları görmeye devam eder. Negatif offset'te kaldırılan aralıktaki
+   * işaretler gösterimden kalkar, depoda korunur.
+   * @param {number} fromPage - Kaydırmanın başladığı sayfa
+   * @param {number} offset - Kaydırma miktarı (eklemede +, silmede -)
+   */
+  shiftPages(fromPage, offset) {
+    if (offset === 0) return;
+    
+    const shifted = new Map();
+    const removed = [];
+    
+    this.bookmarks.forEach((record, pageNumber) => {
+      if (pageNumber < fromPage) {
+        shifted.set(pageNumber, record);
+      } else if (offset < 0 && pageNumber < fromPage - offset) {
+        removed.push(pageNumber);
+        
+        const stored = this._toStoredRecord(record);
+        if (stored) this.hiddenRecords.set(stored.page, stored);
+      } else {
+        shifted.set(pageNumber + offset, { ...record, page: pageNumber + offset });
+      }
+    });
+    
+    this.bookmarks = shifted;
+    this.pageShifts.push({ fromPage, offset });
+    
+    this._notifyRemoved(removed);
+  }
+  
   /**
    * Tüm işaretleri temizle
+   * Her silinen işaret için onRemove çağrılır.
    */
   clear() {
+    const removed = Array.from(this.bookmarks.keys());
+    
     this.bookmarks.clear();
+    this.hiddenRecords.clear();
     this._saveToStorage();
+    this._broadcastAll();
+    
+    this._notifyRemoved(removed);
+  }
+  
+  /**
+   * İşaretleri sürümlü JSON belgesi olarak dışa aktar
+   * @returns {string} - { format, version, bookId, exportedAt, bookmarks: [...] }
+   */
+  exportBookmarks() {
+    return JSON.stringify({
+      format: EXPORT_FORMAT,
+      version: EXPORT_VERSION,
+      bookId: this.options.bookId,
+      exportedAt: Date.now(),
+      bookmarks: this.getRecords()
+    }, null, 2);
+  }
+  
+  /**
+   * exportBookmarks() çıktısını içe aktar
+   * Merge modunda aynı sayfadaki işaretlerden son düzenlenen kazanır
+   * (updatedAt, yoksa createdAt).
+   * @param {string|Object} json - JSON metni veya ayrıştırılmış belge
+   * @param {Object} [options]
+   * @param {string} [options.mode='merge'] - 'merge' | 'replace'
+   * @param {number} [options.totalPages] - Verilirse bu aralığın dışındaki sayfalar atlanır
+   * @returns {{added: number, updated: number, skipped: number}}
+   * @throws {Error} - Belge geçersizse
+   */
+  importBookmarks(json, options = {}) {
+    const mode = options.mode || 'merge';
+    if (mode !== 'merge' && mode !== 'replace') {
+      throw new Error(`Unknown import mode "${mode}"`);
+    }
+    
+    const doc = this._parseImport(json);
+    const result = { added: 0, updated: 0, skipped: 0 };
+    const next = mode === 'replace' ? new Map() : new Map(this.bookmarks);
+    
+    doc.bookmarks.forEach((entry) => {
+      const record = this._normalizeRecord(entry);
+      if (!record || (options.totalPages !== undefined && record.page >= options.totalPages)) {
+        result.skipped++;
+        return;
+      }
+      
+      const existing = next.get(record.page);
+      if (!existing) {
+        next.set(record.page, record);
+        result.added++;
+      } else if (this._getEditedAt(record) >= this._getEditedAt(existing)) {
+        next.set(record.page, record);
+        result.updated++;
+      } else {
+        result.skipped++;
+      }
+    });
+    
+    this._replaceAll(next);
+    this._saveToStorage();
+    this._broadcastAll();
+    
+    return result;
+  }
+  
+  _getEditedAt(record) {
+    return record.updatedAt || record.createdAt || 0;
+  }
+  
+  _parseImport(json) {
+    let doc = json;
+    
+    if (typeof json === 'string') {
+      try {
+        doc = JSON.parse(json);
+      } catch (error) {
+        throw new Error('Bookmark import failed: file is not valid JSON');
+      }
+    }
+    
+    if (!doc || typeof doc !== 'object' || doc.format !== EXPORT_FORMAT) {
+      throw new Error('Bookmark import failed: not a bookmarks export');
+    }
+    if (!Number.isInteger(doc.version) || doc.version > EXPORT_VERSION) {
+      throw new Error(`Bookmark import failed: unsupported version ${doc.version}`);
+    }
+    if (!Array.isArray(doc.bookmarks)) {
+      throw new Error('Bookmark import failed: "bookmarks" must be an array');
+    }
+    
+    return doc;
+  }
+  
+  /**
+   * İşaretleri .json dosyası olarak indir
+   * @param {string} [filename] - Dosya adı
+   */
+  downloadBookmarks(filename = `bookmarks-${this.options.bookId}.json`) {
+    const blob = new Blob([this.exportBookmarks()], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    
+    setTimeout(() => URL.revokeObjectURL(url), 0);
   }
   
   /**
@@ -152,6 +665,12 @@ export class BookmarkManager {
     indicator.className = 'simsek-bookmark-indicator';
     
     const isBookmarked = this.has(pageNumber);
+    const record = this.bookmarks.get(pageNumber);
+    const color = this._getDisplayColor(record);
+    
+    if (record) {
+      indicator.title = this._getDisplayTitle(record);
+    }
     
     indicator.style.cssText = `
       position: absolute;
@@ -165,8 +684,8 @@ export class BookmarkManager {
     `;
     
     indicator.innerHTML = `
-      <svg viewBox="0 0 24 30" fill="${isBookmarked ? 'var(--simsek-bookmark-color, #ff4444)' : 'none'}" 
-           stroke="var(--simsek-bookmark-color, #ff4444)" stroke-width="2">
+      <svg viewBox="0 0 24 30" fill="${isBookmarked ? color : 'none'}" 
+           stroke="${color}" stroke-width="2">
         <path d="M2 2h20v26l-10-8-10 8V2z"/>
       </svg>
     `;
@@ -174,7 +693,11 @@ export class BookmarkManager {
     indicator.addEventListener('click', (e) => {
       e.stopPropagation();
       const newState = this.toggle(pageNumber);
-      indicator.querySelector('svg').setAttribute('fill', newState ? 'var(--simsek-bookmark-color, #ff4444)' : 'none');
+      const newColor = this._getDisplayColor(this.bookmarks.get(pageNumber));
+      const svg = indicator.querySelector('svg');
+      svg.setAttribute('fill', newState ? newColor : 'none');
+      svg.setAttribute('stroke', newColor);
+      indicator.title = newState ? this._getDisplayTitle(this.bookmarks.get(pageNumber)) : '';
     });
     
     indicator.addEventListener('mouseenter', () => {
@@ -191,9 +714,13 @@ export class BookmarkManager {
   /**
    * Bookmark listesi paneli oluştur
    * @param {Function} onNavigate - Sayfaya git callback
+   * @param {Object} [options]
+   * @param {Function} [options.renderThumbnail] - (container, pageNumber) küçük resim çizer
+   * @param {Function} [options.onClose] - Kapat butonu; verilmezse panel kendini gizler
+   * @param {Function} [options.onImport] - (json) içe aktarma; verilmezse importBookmarks(json)
    * @returns {HTMLElement}
    */
-  createBookmarkPanel(onNavigate) {
+  createBookmarkPanel(onNavigate, options = {}) {
     const panel = document.createElement('div');
     panel.className = 'simsek-bookmark-panel';
     
@@ -222,7 +749,7 @@ export class BookmarkManager {
       align-items: center;
     `;
     header.innerHTML = `
-      <span>📑 Bookmarks (${this.getCount()})</span>
+      <span class="simsek-bookmark-panel-title">📑 Bookmarks (${this.getCount()})</span>
       <button class="simsek-panel-close" style="
         background: none;
         border: none;
@@ -232,26 +759,113 @@ export class BookmarkManager {
       ">&times;</button>
     `;
     
+    const actions = this._createPanelActions(() => {
+      this._renderBookmarkList(list, onNavigate, options);
+    }, options);
+    
     const list = document.createElement('div');
     list.className = 'simsek-bookmark-list';
     
-    this._renderBookmarkList(list, onNavigate);
+    this._renderBookmarkList(list, onNavigate, options);
     
     panel.appendChild(header);
+    panel.appendChild(actions);
     panel.appendChild(list);
     
     // Close button
     header.querySelector('.simsek-panel-close').addEventListener('click', () => {
-      panel.style.transform = 'translateX(100%)';
+      if (options.onClose) {
+        options.onClose();
+      } else {
+        panel.style.transform = 'translateX(100%)';
+      }
     });
     
+    // refreshBookmarkPanel için referanslar
+    panel._bookmarkPanel = { list, onNavigate, options };
+    
     return panel;
   }
   
-  _renderBookmarkList(container, onNavigate) {
+  _createPanelActions(onChange, options) {
+    const actions = document.createElement('div');
+    actions.className = 'simsek-bookmark-actions';
+    actions.style.cssText = `
+      padding: 8px 15px;
+      border-bottom: 1px solid var(--simsek-border-color, #eee);
+      display: flex;
+      flex-wrap: wrap;
+      gap: 6px;
+      font-size: 13px;
+    `;
+    actions.innerHTML = `
+      <button type="button" class="simsek-bookmark-export" title="Download bookmarks as JSON">⬇ Export</button>
+      <button type="button" class="simsek-bookmark-import" title="Load bookmarks from a JSON file">⬆ Import</button>
+      <input type="file" accept="application/json,.json" style="display: none;">
+      <div class="simsek-bookmark-message" style="
+        width: 100%;
+        color: var(--simsek-text-muted, #999);
+        font-size: 12px;
+      "></div>
+    `;
+    
+    const fileInput = actions.querySelector('input[type="file"]');
+    const message = actions.querySelector('.simsek-bookmark-message');
+    
+    actions.querySelector('.simsek-bookmark-export').addEventListener('click', () => {
+      this.downloadBookmarks();
+    });
+    
+    actions.querySelector('.simsek-bookmark-import').addEventListener('click', () => {
+      fileInput.click();
+    });
+    
+    fileInput.addEventListener('change', async () => {
+      const file = fileInput.files[0];
+      fileInput.value = '';
+      if (!file) return;
+      
+      try {
+        const text = await file.text();
+        const result = options.onImport ? options.onImport(text) : this.importBookmarks(text);
+        message.style.color = 'var(--simsek-text-muted, #999)';
+        message.textContent = `Imported ${result.added} new, ${result.updated} updated, ${result.skipped} skipped`;
+        onChange();
+      } catch (error) {
+        message.style.color = 'var(--simsek-danger, #ff4444)';
+        message.textContent = error.message;
+      }
+    });
+    
+    return actions;
+  }
+  
+  /**
+   * createBookmarkPanel ile oluşturulan paneli güncel işaretlerle yeniden çiz
+   * @param {HTMLElement} panel - Panel elementi
+   */
+  refreshBookmarkPanel(panel) {
+    if (!panel || !panel._bookmarkPanel) return;
+    
+    const { list, onNavigate, options } = panel._bookmarkPanel;
+    
+    // Düzenleme formu açıkken yazılanlar kaybolmasın
+    if (list.querySelector('.simsek-bookmark-form')) return;
+    
+    this._renderBookmarkList(list, onNavigate, options);
+  }
+  
+  _renderBookmarkList(container, onNavigate, options = {}) {
     container.innerHTML = '';
     
-    const bookmarks = this.getAll();
+    // Başlıktaki sayıyı güncel tut
+    const panel = container.closest('.simsek-bookmark-panel');
+    const title = panel && panel.querySelector('.simsek-bookmark-panel-title');
+    if (title) {
+      title.textContent = `📑 Bookmarks (${this.getCount()})`;
+    }
+    
+    const bookmarks = this.getRecords();
     
     if (bookmarks.length === 0) {
       const empty = document.createElement('div');
@@ -265,22 +879,51 @@ export class BookmarkManager {
       return;
     }
     
-    bookmarks.forEach((pageNumber) => {
+    bookmarks.forEach((record) => {
+      const pageNumber = record.page;
+      
       const item = document.createElement('div');
       item.className = 'simsek-bookmark-item';
+      item.dataset.page = pageNumber;
       item.style.cssText = `
         padding: 12px 15px;
         border-bottom: 1px solid var(--simsek-border-color, #eee);
+        border-left: 4px solid ${this._getDisplayColor(record)};
         cursor: pointer;
         display: flex;
         justify-content: space-between;
         align-items: center;
+        gap: 8px;
         transition: background 0.2s ease;
       `;
       
       item.innerHTML = `
-        <span>📖 Page ${pageNumber + 1}</span>
-        <button class="simsek-bookmark-remove" style="
+        <div class="simsek-bookmark-info" style="flex: 1; min-width: 0;">
+          <div class="simsek-bookmark-title" style="
+            font-weight: 500;
+            overflow: hidden;
+            text-overflow: ellipsis;
+            white-space: nowrap;
+          "></div>
+          <div class="simsek-bookmark-note" style="
+            font-size: 12px;
+            color: var(--simsek-text-muted, #999);
+            overflow: hidden;
+            text-overflow: ellipsis;
+            white-space: nowrap;
+          "></div>
+          <div class="simsek-bookmark-meta" style="
+            font-size: 11px;
+            color: var(--simsek-text-muted, #999);
+          "></div>
+        </div>
+        <button class="simsek-bookmark-edit" title="Edit bookmark" style="
+          background: none;
+          border: none;
+          cursor: pointer;
+          font-size: 14px;
+        ">✏️</button>
+        <button class="simsek-bookmark-remove" title="Remove bookmark" style="
           background: none;
           border: none;
           color: var(--simsek-danger, #ff4444);
@@ -289,8 +932,36 @@ export class BookmarkManager {
         ">🗑️</button>
       `;
       
+      // Bookmark'lı sayfanın küçük resmi
+      if (options.renderThumbnail) {
+        const thumb = document.createElement('div');
+        thumb.className = 'simsek-bookmark-thumb';
+        thumb.style.cssText = `
+          flex-shrink: 0;
+          width: 40px;
+          height: 52px;
+          display: flex;
+          align-items: center;
+          justify-content: center;
+          overflow: hidden;
+          background: var(--simsek-placeholder-bg, #f0f0f0);
+          border-radius: 2px;
+        `;
+        item.insertBefore(thumb, item.firstChild);
+        options.renderThumbnail(thumb, pageNumber);
+      }
+      
+      // Kullanıcı metni HTML olarak yorumlanmasın
+      const title = record.title ? `🔖 ${record.title}` : `📖 Page ${pageNumber + 1}`;
+      item.querySelector('.simsek-bookmark-title').textContent = title;
+      item.querySelector('.simsek-bookmark-note').textContent = record.note;
+      item.querySelector('.simsek-bookmark-meta').textContent = [
+        record.title ? `Page ${pageNumber + 1}` : '',
+        record.createdAt ? new Date(record.createdAt).toLocaleDateString() : ''
+      ].filter(Boolean).join(' · ');
+      
       item.addEventListener('click', (e) => {
-        if (!e.target.classList.contains('simsek-bookmark-remove')) {
+        if (!e.target.closest('button')) {
           if (onNavigate) onNavigate(pageNumber);
         }
       });
@@ -303,16 +974,206 @@ export class BookmarkManager {
         item.style.background = 'transparent';
       });
       
+      item.querySelector('.simsek-bookmark-edit').addEventListener('click', (e) => {
+        e.stopPropagation();
+        const form = this._createEditForm(record, () => {
+          form.remove();
+          this._renderBookmarkList(container, onNavigate, options);
+        });
+        item.replaceWith(form);
+      });
+      
       item.querySelector('.simsek-bookmark-remove').addEventListener('click', (e) => {
         e.stopPropagation();
         this.remove(pageNumber);
-        this._renderBookmarkList(container, onNavigate);
+        this._renderBookmarkList(container, onNavigate, options);
       });
       
       container.appendChild(item);
     });
   }
   
+  _createEditForm(record, onDone) {
+    const form = document.createElement('form');
+    form.className = 'simsek-bookmark-form';
+    form.style.cssText = `
+      padding: 12px 15px;
+      border-bottom: 1px solid var(--simsek-border-color, #eee);
+      display: flex;
+      flex-direction: column;
+      gap: 8px;
+    `;
+    
+    const inputStyle = `
+      width: 100%;
+      padding: 6px 8px;
+      border: 1px solid var(--simsek-border-color, #eee);
+      border-radius: 4px;
+      font: inherit;
+      font-size: 13px;
+      box-sizing: border-box;
+    `;
+    
+    const titleInput = document.createElement('input');
+    titleInput.type = 'text';
+    titleInput.className = 'simsek-bookmark-title-input';
+    titleInput.placeholder = `Page ${record.page + 1}`;
+    titleInput.value = record.title;
+    titleInput.style.cssText = inputStyle;
+    
+    const noteInput = document.createElement('textarea');
+    noteInput.className = 'simsek-bookmark-note-input';
+    noteInput.placeholder = 'Note';
+    noteInput.rows = 2;
+    noteInput.value = record.note;
+    noteInput.style.cssText = inputStyle + 'resize: vertical;';
+    
+    // Renk seçimi
+    let selectedColor = record.color;
+    const swatches = document.createElement('div');
+    swatches.className = 'simsek-bookmark-colors';
+    swatches.style.cssText = 'display: flex; gap: 6px;';
+    
+    const renderSwatches = () => {
+      swatches.querySelectorAll('button').forEach((swatch) => {
+        swatch.style.outline = swatch.dataset.color === (selectedColor || '')
+          ? '2px solid var(--simsek-text-color, #333)'
+          : 'none';
+      });
+    };
+    
+    ['', ...this.options.colors].forEach((color) => {
+      const swatch = document.createElement('button');
+      swatch.type = 'button';
+      swatch.dataset.color = color;
+      swatch.title = color || 'Default';
+      swatch.style.cssText = `
+        width: 20px;
+        height: 20px;
+        border-radius: 50%;
+        border: 1px solid rgba(0,0,0,0.15);
+        outline-offset: 1px;
+        cursor: pointer;
+        background: ${color || 'var(--simsek-bookmark-color, #ff4444)'};
+      `;
+      swatch.addEventListener('click', () => {
+        selectedColor = color || null;
+        renderSwatches();
+      });
+      swatches.appendChild(swatch);
+    });
+    renderSwatches();
+    
+    const actions = document.createElement('div');
+    actions.style.cssText = 'display: flex; justify-content: flex-end; gap: 6px;';
+    actions.innerHTML = `
+      <button type="button" class="simsek-bookmark-cancel">Cancel</button>
+      <button type="submit" class="simsek-bookmark-save">Save</button>
+    `;
+    
+    form.appendChild(titleInput);
+    form.appendChild(noteInput);
+    form.appendChild(swatches);
+    form.appendChild(actions);
+    
+    form.addEventListener('submit', (e) => {
+      e.preventDefault();
+      this.update(record.page, {
+        title: titleInput.value,
+        note: noteInput.value,
+        color: selectedColor
+      });
+      onDone();
+    });
+    
+    actions.querySelector('.simsek-bookmark-cancel').addEventListener('click', onDone);
+    
+    return form;
+  }
+  
+  _getPositionKey() {
+    return `${this._getStorageKey()}-position`;
+  }
+  
+  /**
+   * Son okunan sayfayı kaydet
+   * İşaretlerden bağımsızdır, bookmark'lar kapalıyken de çalışır
+   * @param {number} pageNumber - Sayfa numarası
+   */
+  saveReadingPosition(pageNumber) {
+    // Yalnızca bu oturumda eklenmiş sayfa kaydedilmez
+    const page = this._toStoredPage(pageNumber);
+    if (page === null) return;
+    
+    try {
+      localStorage.setItem(this._getPositionKey(), JSON.stringify({
+        page,
+        updatedAt: Date.now()
+      }));
+    } catch (error) {
+      console.warn('Failed to save reading position to localStorage:', error);
+    }
+  }
+  
+  /**
+   * Son okunan sayfayı al
+   * @returns {number|null} - Sayfa numarası, kayıt yoksa null
+   */
+  getLastReadPage() {
+    try {
+      const stored = localStorage.getItem(this._getPositionKey());
+      if (!stored) return null;
+      
+      const { page } = JSON.parse(stored);
+      return Number.isInteger(page) && page >= 0 ? this._toSessionPage(page) : null;
+    } catch (error) {
+      console.warn('Failed to load reading position from localStorage:', error);
+      return null;
+    }
+  }
+  
+  /**
+   * Kayıtlı okuma konumunu sil
+   */
+  clearReadingPosition() {
+    try {
+      localStorage.removeItem(this._getPositionKey());
+    } catch (error) {
+      console.warn('Failed to clear reading position from localStorage:', error);
+    }
+  }
+  
+  /**
+   * Farklı bir kitaba geç ve o kitabın işaretlerini yükle
+   * Geçiş silme değil sıfırlamadır: onRemove yerine boş listeyle onLoad çağrılır,
+   * yeni kitabın işaretleri yüklenince onLoad tekrar çağrılır.
+   * @param {string} bookId - Yeni kitap kimliği
+   */
+  setBookId(bookId) {
+    if (bookId === this.options.bookId) return;
+    
+    const hadBookmarks = this.bookmarks.size > 0;
+    
+    this.options.bookId = bookId;
+    this.bookmarks = new Map();
+    this.pageShifts = [];
+    this.hiddenRecords = new Map();
+    this.isLoaded = false;
+    if (hadBookmarks && this.options.onLoad) {
+      this.options.onLoad([]);
+    }
+    
+    if (this.options.enabled) {
+      this.ready = this._loadFromStorage();
+    }
+    
+    // Kanal adı kitaba bağlı
+    if (this.options.sync) {
+      this._closeSyncChannel();
+      this._openSyncChannel();
+    }
+  }
+  
   /**
    * Bookmark etkinliğini ayarla
    * @param {boolean} enabled
@@ -333,7 +1194,17 @@ export class BookmarkManager {
    * Kaynakları temizle
    */
   destroy() {
-    // Storage'a son durumu kaydet
-    this._saveToStorage();
+    // Storage'a son durumu kaydet (yüklenmemiş veri kayıtlı olanın üzerine yazılmasın)
+    if (this.isLoaded) {
+      this._saveToStorage();
+    }
+    
+    this._closeSyncChannel();
+    
+    if (this.ownsStorage && this.storage.destroy) {
+      this.storage.destroy();
+    } else if (this.storage.flush) {
+      this.storage.flush();
+    }
   }
 }
@@ -0,0 +1,286 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { BookmarkManager } from './bookmark-manager.js';
+
+// Kitap kimliğine göre bellekte saklayan adaptör
+function createMemoryStorage(initial = {}) {
+  const data = new Map(Object.entries(initial));
+  return {
+    data,
+    async load(bookId) {
+      return data.has(bookId) ? data.get(bookId) : null;
+    },
+    async save(bookId, records) {
+      data.set(bookId, records);
+    }
+  };
+}
+
+async function createManager(options = {}) {
+  const removed = [];
+  const manager = new BookmarkManager({
+    storage: createMemoryStorage(),
+    onRemove: (page) => removed.push(page),
+    ...options
+  });
+  await manager.ready;
+  return { manager, removed };
+}
+
+// Aynı addaki diğer kanallara iletir, gönderen kendi mesajını almaz (tarayıcıdaki gibi)
+class FakeBroadcastChannel {
+  static channels = [];
+  
+  constructor(name) {
+    this.name = name;
+    this.onmessage = null;
+    FakeBroadcastChannel.channels.push(this);
+  }
+  
+  postMessage(data) {
+    FakeBroadcastChannel.channels
+      .filter((channel) => channel !== this && channel.name === this.name && channel.onmessage)
+      .forEach((channel) => channel.onmessage({ data: structuredClone(data) }));
+  }
+  
+  close() {
+    FakeBroadcastChannel.channels = FakeBroadcastChannel.channels.filter((channel) => channel !== this);
+  }
+}
+
+afterEach(() => {
+  FakeBroadcastChannel.channels = [];
+  delete globalThis.BroadcastChannel;
+  delete globalThis.localStorage;
+  delete globalThis.window;
+});
+
+// Aynı kitabı açmış iki sekme
+async function createTabs() {
+  globalThis.BroadcastChannel = FakeBroadcastChannel;
+  const first = await createManager({ bookId: 'book', sync: true });
+  const second = await createManager({ bookId: 'book', sync: true });
+  return [first, second];
+}
+
+test('clear reports every removed bookmark', async () => {
+  const { manager, removed } = await createManager();
+  manager.add(2);
+  manager.add(5);
+  
+  manager.clear();
+  
+  assert.deepEqual(removed.sort(), [2, 5]);
+  assert.equal(manager.getCount(), 0);
+});
+
+test('switching books resets the list through onLoad instead of removing', async () => {
+  const storage = createMemoryStorage({ other: [{ page: 9 }] });
+  const loaded = [];
+  const { manager, removed } = await createManager({
+    storage,
+    bookId: 'first',
+    onLoad: (pages) => loaded.push(pages)
+  });
+  manager.add(1);
+  manager.add(3);
+  
+  manager.setBookId('other');
+  assert.deepEqual(removed, []);
+  assert.deepEqual(loaded.at(-1), []);
+  
+  await manager.ready;
+  assert.deepEqual(manager.getAll(), [9]);
+  assert.deepEqual(loaded.at(-1), [9]);
+});
+
+test('shiftPages drops bookmarks in a removed range and reports them', async () => {
+  const { manager, removed } = await createManager();
+  manager.add(1);
+  manager.add(4);
+  manager.add(6);
+  
+  manager.shiftPages(4, -2);
+  
+  assert.deepEqual(removed, [4]);
+  assert.deepEqual(manager.getAll(), [1, 4]);
+});
+
+test('export and import round-trip every bookmark field', async () => {
+  const { manager: source } = await createManager({ bookId: 'report' });
+  source.add(2, { title: 'Intro', note: 'Read first', color: '#2ecc71' });
+  source.add(8, { title: 'Summary' });
+  
+  const { manager: target } = await createManager({ bookId: 'report' });
+  const result = target.importBookmarks(source.exportBookmarks());
+  
+  assert.deepEqual(result, { added: 2, updated: 0, skipped: 0 });
+  assert.deepEqual(target.getRecords(), source.getRecords());
+});
+
+test('export writes a versioned document', async () => {
+  const { manager } = await createManager({ bookId: 'report' });
+  manager.add(1);
+  
+  const doc = JSON.parse(manager.exportBookmarks());
+  
+  assert.equal(doc.format, 'simsek-book-bookmarks');
+  assert.equal(doc.version, 1);
+  assert.equal(doc.bookId, 'report');
+  assert.deepEqual(doc.bookmarks.map((record) => record.page), [1]);
+});
+
+test('merge keeps the newer record, replace drops bookmarks missing from the file', async () => {
+  const doc = JSON.stringify({
+    format: 'simsek-book-bookmarks',
+    version: 1,
+    bookmarks: [
+      { page: 1, title: 'Old', createdAt: 1 },
+      { page: 4, title: 'Imported', createdAt: 5 },
+      { page: 99, title: 'Past the end', createdAt: 5 }
+    ]
+  });
+  
+  const { manager, removed } = await createManager();
+  manager.add(1, { title: 'Mine' });
+  manager.add(3);
+  
+  assert.deepEqual(manager.importBookmarks(doc, { totalPages: 10 }), { added: 1, updated: 0, skipped: 2 });
+  assert.equal(manager.get(1).title, 'Mine');
+  assert.deepEqual(manager.getAll(), [1, 3, 4]);
+  
+  manager.importBookmarks(doc, { mode: 'replace', totalPages: 10 });
+  assert.deepEqual(manager.getAll(), [1, 4]);
+  assert.equal(manager.get(1).title, 'Old');
+  assert.deepEqual(removed, [3]);
+});
+
+test('merge compares edit times, not creation times', async () => {
+  const { manager } = await createManager();
+  manager.add(2, { title: 'Mine' });
+  manager.add(5, { title: 'Mine' });
+  const now = Date.now();
+  
+  // 2: eski işaret sonradan düzenlenmiş; 5: yerel olandan önce düzenlenmiş
+  const result = manager.importBookmarks({
+    format: 'simsek-book-bookmarks',
+    version: 1,
+    bookmarks: [
+      { page: 2, title: 'Edited', createdAt: 1, updatedAt: now + 1000 },
+      { page: 5, title: 'Stale', createdAt: now + 1000, updatedAt: 1 }
+    ]
+  });
+  
+  assert.deepEqual(result, { added: 0, updated: 1, skipped: 1 });
+  assert.equal(manager.get(2).title, 'Edited');
+  assert.equal(manager.get(5).title, 'Mine');
+});
+
+test('import rejects documents that are not bookmark exports', async () => {
+  const { manager } = await createManager();
+  
+  assert.throws(() => manager.importBookmarks('{not json'), /not valid JSON/);
+  assert.throws(() => manager.importBookmarks('{"format":"other"}'), /not a bookmarks export/);
+  assert.throws(
+    () => manager.importBookmarks({ format: 'simsek-book-bookmarks', version: 2, bookmarks: [] }),
+    /unsupported version 2/
+  );
+  assert.throws(() => manager.importBookmarks('{}', { mode: 'append' }), /Unknown import mode "append"/);
+});
+
+test('shiftPages keeps stored page numbers and does not broadcast', async () => {
+  const storage = createMemoryStorage();
+  const { manager, removed } = await createManager({ storage, bookId: 'book' });
+  const sent = [];
+  manager._broadcast = (message) => sent.push(message);
+  manager.add(2);
+  manager.add(5);
+  manager.add(8);
+  sent.length = 0;
+  
+  // 3. sayfadan önce iki sayfa eklendi, ardından (kaydırılmış) 7. sayfa silindi
+  manager.shiftPages(3, 2);
+  manager.shiftPages(7, -1);
+  
+  assert.deepEqual(sent, []);
+  assert.deepEqual(removed, [7]);
+  assert.deepEqual(manager.getAll(), [2, 9]);
+  
+  // Yeni işaretler asıl numarayla kaydedilir, silinen sayfanınki korunur
+  manager.add(10);
+  manager.add(4);
+  assert.deepEqual(storage.data.get('book').map((record) => record.page), [2, 5, 8, 9]);
+  assert.deepEqual(sent.map((message) => message.record.page), [9]);
+});
+
+test('sync sends added and removed bookmarks to the other tab', async () => {
+  const [{ manager: first }, { manager: second, removed }] = await createTabs();
+  
+  first.add(3, { title: 'Chapter' });
+  assert.deepEqual(second.getAll(), [3]);
+  assert.equal(second.get(3).title, 'Chapter');
+  
+  first.update(3, { note: 'Reread' });
+  assert.equal(second.get(3).note, 'Reread');
+  
+  first.remove(3);
+  assert.deepEqual(second.getAll(), []);
+  assert.deepEqual(removed, [3]);
+});
+
+test('sync replaces the whole list after clear and import', async () => {
+  const [{ manager: first }, { manager: second, removed }] = await createTabs();
+  first.add(1);
+  first.add(6);
+  
+  first.clear();
+  assert.deepEqual(second.getAll(), []);
+  assert.deepEqual(removed.sort(), [1, 6]);
+  
+  first.importBookmarks({ format: 'simsek-book-bookmarks', version: 1, bookmarks: [{ page: 8 }] });
+  assert.deepEqual(second.getAll(), [8]);
+});
+
+test('sync ignores changes older than the local edit', async () => {
+  const [{ manager: first }, { manager: second }] = await createTabs();
+  second.add(5, { title: 'Newer' });
+  
+  // Diğer sekmede daha önce yapılmış, geç ulaşan değişiklikler
+  first._broadcast({ type: 'set', bookId: 'book', record: { page: 5, title: 'Older', updatedAt: 1 } });
+  first._broadcast({ type: 'remove', bookId: 'book', page: 5, updatedAt: 1 });
+  
+  assert.equal(second.get(5).title, 'Newer');
+  
+  first._broadcast({ type: 'remove', bookId: 'book', page: 5, updatedAt: Date.now() + 1000 });
+  assert.deepEqual(second.getAll(), []);
+});
+
+test('sync falls back to storage events without BroadcastChannel', async () => {
+  const listeners = [];
+  const items = new Map();
+  globalThis.window = {
+    addEventListener: (type, handler) => listeners.push(handler),
+    removeEventListener: () => {}
+  };
+  globalThis.localStorage = {
+    getItem: (key) => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => items.set(key, value),
+    removeItem: (key) => items.delete(key)
+  };
+  const { manager: first } = await createManager({ bookId: 'book', sync: true });
+  const { manager: second } = await createManager({ bookId: 'book', sync: true });
+  
+  // storage olayı yalnızca yazmayan sekmede tetiklenir
+  const deliver = () => {
+    const key = 'simsek-book-bookmarks-book-sync';
+    listeners[1]({ key, newValue: items.get(key) });
+  };
+  
+  first.add(2, { title: 'Shared' });
+  deliver();
+  assert.equal(second.get(2).title, 'Shared');
+  
+  first.remove(2);
+  deliver();
+  assert.deepEqual(second.getAll(), []);
+});
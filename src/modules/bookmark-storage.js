@@ -0,0 +1,389 @@
+/**
+ * Bookmark Storage Adapters
+ * BookmarkManager için değiştirilebilir kalıcı depolama katmanı
+ *
+ * Her adaptör aynı asenkron arayüzü uygular:
+ *   load(bookId)        → Promise<*|null>  Kayıtlı veri, yoksa null
+ *   save(bookId, data)  → Promise<void>
+ *   destroy()           → (isteğe bağlı) bekleyen işleri bitir, dinleyicileri kaldır
+ */
+
+/**
+ * WebStorageAdapter - localStorage / sessionStorage
+ */
+export class WebStorageAdapter {
+  constructor(options = {}) {
+    this.options = {
+      storage: options.storage || (typeof localStorage !== 'undefined' ? localStorage : null),
+      keyPrefix: options.keyPrefix || 'simsek-book-bookmarks',
+      ...options
+    };
+  }
+  
+  _getKey(bookId) {
+    return `${this.options.keyPrefix}-${bookId}`;
+  }
+  
+  /**
+   * Kitabın verisini oku
+   * @param {string} bookId - Kitap kimliği
+   * @returns {Promise<*|null>}
+   */
+  async load(bookId) {
+    const stored = this.options.storage.getItem(this._getKey(bookId));
+    return stored ? JSON.parse(stored) : null;
+  }
+  
+  /**
+   * Kitabın verisini yaz
+   * @param {string} bookId - Kitap kimliği
+   * @param {*} data - JSON'a çevrilebilir veri
+   */
+  async save(bookId, data) {
+    this.options.storage.setItem(this._getKey(bookId), JSON.stringify(data));
+  }
+}
+
+/**
+ * LocalStorageAdapter - Kalıcı, aynı tarayıcıdaki tüm sekmelerde ortak
+ */
+export class LocalStorageAdapter extends WebStorageAdapter {
+  constructor(options = {}) {
+    super({ ...options, storage: localStorage });
+  }
+}
+
+/**
+ * SessionStorageAdapter - Sekme kapanınca silinir
+ */
+export class SessionStorageAdapter extends WebStorageAdapter {
+  constructor(options = {}) {
+    super({ ...options, storage: sessionStorage });
+  }
+}
+
+/**
+ * IndexedDBAdapter - Büyük veri için asenkron tarayıcı veritabanı
+ */
+export class IndexedDBAdapter {
+  constructor(options = {}) {
+    this.options = {
+      dbName: options.dbName || 'simsek-book',
+      storeName: options.storeName || 'bookmarks',
+      ...options
+    };
+    
+    this.dbPromise = null;
+  }
+  
+  _open() {
+    if (!this.dbPromise) {
+      this.dbPromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(this.options.dbName, 1);
+        
+        request.onupgradeneeded = () => {
+          const db = request.result;
+          if (!db.objectStoreNames.contains(this.options.storeName)) {
+            db.createObjectStore(this.options.storeName);
+          }
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+      
+      // Başarısız açılış sonraki çağrıda yeniden denensin
+      this.dbPromise.catch(() => {
+        this.dbPromise = null;
+      });
+    }
+    
+    return this.dbPromise;
+  }
+  
+  async _request(mode, operation) {
+    const db = await this._open();
+    
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(this.options.storeName, mode);
+      const request = operation(transaction.objectStore(this.options.storeName));
+      
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+  
+  /**
+   * Kitabın verisini oku
+   * @param {string} bookId - Kitap kimliği
+   * @returns {Promise<*|null>}
+   */
+  async load(bookId) {
+    const data = await this._request('readonly', (store) => store.get(bookId));
+    return data === undefined ? null : data;
+  }
+  
+  /**
+   * Kitabın verisini yaz
+   * @param {string} bookId - Kitap kimliği
+   * @param {*} data - Yapılandırılmış kopyalanabilir veri
+   */
+  async save(bookId, data) {
+    await this._request('readwrite', (store) => store.put(data, bookId));
+  }
+  
+  /**
+   * Veritabanı bağlantısını kapat
+   */
+  destroy() {
+    if (this.dbPromise) {
+      this.dbPromise.then((db) => db.close()).catch(() => {});
+      this.dbPromise = null;
+    }
+  }
+}
+
+/**
+ * RestStorageAdapter - Sunucuda saklama, cihazlar arası senkronizasyon
+ *
+ * GET  {url}/{bookId} → JSON veri (404 = kayıt yok)
+ * PUT  {url}/{bookId} ← JSON veri
+ *
+ * Yazmalar debounce edilir; çevrimdışıyken veya istek başarısız olursa
+ * kuyrukta bekler ve bağlantı gelince (online olayı) tekrar gönderilir.
+ * Çevrimiçiyken ağ hatası veya 5xx/408/429 yanıtı alan gönderim artan
+ * aralıklarla (retryDelay, 2×, 4×…) en fazla retries kez yeniden denenir.
+ */
+export class RestStorageAdapter {
+  constructor(options = {}) {
+    this.options = {
+      url: options.url || '',
+      headers: options.headers || {},
+      credentials: options.credentials || 'same-origin',
+      debounce: options.debounce !== undefined ? options.debounce : 1000,
+      retries: options.retries !== undefined ? options.retries : 3,
+      retryDelay: options.retryDelay !== undefined ? options.retryDelay : 1000,
+      fetch: options.fetch || null,
+      onError: options.onError || null,
+      ...options
+    };
+    
+    if (!this.options.url) {
+      throw new Error('RestStorageAdapter: url option is required');
+    }
+    
+    // bookId → gönderilmeyi bekleyen son veri
+    this.queue = new Map();
+    this.flushTimer = null;
+    this.flushPromise = null;
+    this.retryTimer = null;
+    this.retryCount = 0;
+    this.isDestroyed = false;
+    
+    this._boundHandleOnline = () => this.flush();
+    
+    if (typeof window !== 'undefined') {
+      window.addEventListener('online', this._boundHandleOnline);
+    }
+  }
+  
+  _getUrl(bookId) {
+    const { url } = this.options;
+    if (typeof url === 'function') return url(bookId);
+    return `${url.replace(/\/$/, '')}/${encodeURIComponent(bookId)}`;
+  }
+  
+  _fetch(url, init) {
+    const fetchFn = this.options.fetch || fetch;
+    return fetchFn(url, {
+      credentials: this.options.credentials,
+      ...init,
+      headers: {
+        'Accept': 'application/json',
+        ...this.options.headers,
+        ...(init.headers || {})
+      }
+    });
+  }
+  
+  _isOffline() {
+    return typeof navigator !== 'undefined' && navigator.onLine === false;
+  }
+  
+  _scheduleFlush() {
+    clearTimeout(this.flushTimer);
+    this.flushTimer = setTimeout(() => this.flush(), this.options.debounce);
+  }
+  
+  _scheduleRetry() {
+    // Haklar bitince online olayı veya bir sonraki kayıt beklenir
+    if (this.isDestroyed || this.retryCount >= this.options.retries) return;
+    
+    const delay = this.options.retryDelay * 2 ** this.retryCount;
+    this.retryCount++;
+    
+    clearTimeout(this.retryTimer);
+    this.retryTimer = setTimeout(() => this.flush(), delay);
+  }
+  
+  _isRetryable(error) {
+    // Durum kodu olmayan hata ağ hatasıdır
+    if (error.status === undefined) return true;
+    return error.status >= 500 || error.status === 408 || error.status === 429;
+  }
+  
+  /**
+   * Kitabın verisini sunucudan oku
+   * Henüz gönderilmemiş yerel değişiklik varsa o döner
+   * @param {string} bookId - Kitap kimliği
+   * @returns {Promise<*|null>}
+   */
+  async load(bookId) {
+    if (this.queue.has(bookId)) {
+      return this.queue.get(bookId);
+    }
+    
+    const response = await this._fetch(this._getUrl(bookId), { method: 'GET' });
+    if (response.status === 404) return null;
+    if (!response.ok) {
+      throw new Error(`RestStorageAdapter: GET failed with status ${response.status}`);
+    }
+    
+    return response.json();
+  }
+  
+  /**
+   * Kitabın verisini kuyruğa al, debounce sonrası gönder
+   * @param {string} bookId - Kitap kimliği
+   * @param {*} data - JSON'a çevrilebilir veri
+   */
+  async save(bookId, data) {
+    this.queue.set(bookId, data);
+    // Yeni kayıt yeniden deneme haklarını yeniler
+    this.retryCount = 0;
+    
+    if (!this._isOffline()) {
+      this._scheduleFlush();
+    }
+  }
+  
+  /**
+   * Bekleyen tüm yazmaları hemen gönder
+   * @returns {Promise<boolean>} - Kuyruk tamamen boşaldı mı
+   */
+  async flush() {
+    clearTimeout(this.flushTimer);
+    clearTimeout(this.retryTimer);
+    this.flushTimer = null;
+    this.retryTimer = null;
+    
+    // Aynı anda tek gönderim; bekleyen çağrılardan ilk uyanan yenisini başlatır, diğerleri onu da bekler
+    while (this.flushPromise) {
+      await this.flushPromise;
+    }
+    if (this.queue.size === 0 || this._isOffline()) {
+      return this.queue.size === 0;
+    }
+    
+    this.flushPromise = this._sendQueue();
+    let retry;
+    try {
+      retry = await this.flushPromise;
+    } finally {
+      this.flushPromise = null;
+    }
+    
+    if (this.queue.size === 0) {
+      this.retryCount = 0;
+      return true;
+    }
+    if (retry && !this._isOffline()) {
+      this._scheduleRetry();
+    }
+    return false;
+  }
+  
+  async _sendQueue() {
+    const entries = Array.from(this.queue.entries());
+    let retry = false;
+    
+    for (const [bookId, data] of entries) {
+      try {
+        const response = await this._fetch(this._getUrl(bookId), {
+          method: 'PUT',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify(data)
+        });
+        
+        if (!response.ok) {
+          const error = new Error(`RestStorageAdapter: PUT failed with status ${response.status}`);
+          error.status = response.status;
+          throw error;
+        }
+        
+        // Gönderim sırasında yeni veri geldiyse kuyrukta kalsın
+        if (this.queue.get(bookId) === data) {
+          this.queue.delete(bookId);
+        }
+      } catch (error) {
+        // Kuyrukta kalır; geçici hatalar yeniden denenir, diğerleri online olayını veya sonraki kaydı bekler
+        if (this._isRetryable(error)) {
+          retry = true;
+        }
+        if (this.options.onError) {
+          this.options.onError(error, bookId);
+        } else {
+          console.warn('Failed to save bookmarks to server:', error);
+        }
+      }
+    }
+    
+    return retry;
+  }
+  
+  /**
+   * Gönderilmeyi bekleyen kitap sayısı
+   * @returns {number}
+   */
+  getPendingCount() {
+    return this.queue.size;
+  }
+  
+  /**
+   * Kaynakları temizle, bekleyen yazmaları göndermeyi dene
+   */
+  destroy() {
+    this.isDestroyed = true;
+    clearTimeout(this.retryTimer);
+    
+    if (typeof window !== 'undefined') {
+      window.removeEventListener('online', this._boundHandleOnline);
+    }
+    this.flush();
+  }
+}
+
+/**
+ * Seçenekten adaptör oluştur
+ * @param {string|Object} storage - 'local' | 'session' | 'indexeddb' veya adaptör nesnesi
+ * @param {Object} [options] - Yerleşik adaptör seçenekleri
+ * @returns {Object} - load/save arayüzlü adaptör
+ */
+export function createBookmarkStorage(storage = 'local', options = {}) {
+  if (storage && typeof storage === 'object') {
+    if (typeof storage.load !== 'function' || typeof storage.save !== 'function') {
+      throw new TypeError('Bookmark storage adapter must implement load(bookId) and save(bookId, data)');
+    }
+    return storage;
+  }
+  
+  switch (storage) {
+    case 'local':
+      return new LocalStorageAdapter(options);
+    case 'session':
+      return new SessionStorageAdapter(options);
+    case 'indexeddb':
+      return new IndexedDBAdapter(options);
+    default:
+      throw new Error(`Unknown bookmark storage "${storage}"`);
+  }
+}
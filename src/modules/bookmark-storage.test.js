@@ -0,0 +1,194 @@
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createServer } from 'node:http';
+import { RestStorageAdapter, createBookmarkStorage } from './bookmark-storage.js';
+
+// Sahte sunucu: /bookmarks/{bookId} için GET/PUT, yanıtlar sırayla ayarlanabilir
+const server = {
+  http: null,
+  url: '',
+  store: new Map(),
+  requests: [],
+  // PUT'lara sırayla verilecek durum kodları, boşsa 204
+  putStatuses: []
+};
+
+before(async () => {
+  server.http = createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => {
+      body += chunk;
+    });
+    req.on('end', () => {
+      const bookId = decodeURIComponent(req.url.replace(/^\/bookmarks\//, ''));
+      server.requests.push({ method: req.method, bookId, headers: req.headers, body });
+      
+      if (req.method === 'GET') {
+        if (bookId === 'broken') {
+          res.writeHead(500).end();
+          return;
+        }
+        if (!server.store.has(bookId)) {
+          res.writeHead(404).end();
+          return;
+        }
+        res.writeHead(200, { 'Content-Type': 'application/json' }).end(server.store.get(bookId));
+        return;
+      }
+      
+      const status = server.putStatuses.length > 0 ? server.putStatuses.shift() : 204;
+      if (status < 300) {
+        server.store.set(bookId, body);
+      }
+      res.writeHead(status).end();
+    });
+  });
+  
+  await new Promise((resolve) => server.http.listen(0, '127.0.0.1', resolve));
+  server.url = `http://127.0.0.1:${server.http.address().port}/bookmarks`;
+});
+
+after(() => new Promise((resolve) => server.http.close(resolve)));
+
+beforeEach((t) => {
+  server.store.clear();
+  server.requests = [];
+  server.putStatuses = [];
+  t.mock.method(console, 'warn', () => {});
+});
+
+function createAdapter(options = {}) {
+  return new RestStorageAdapter({ url: server.url, debounce: 5, retryDelay: 5, ...options });
+}
+
+async function waitFor(condition, timeout = 2000) {
+  const start = Date.now();
+  while (!condition()) {
+    if (Date.now() - start > timeout) throw new Error('Timed out waiting for condition');
+    await new Promise((resolve) => setTimeout(resolve, 5));
+  }
+}
+
+const puts = () => server.requests.filter((request) => request.method === 'PUT');
+
+test('requires a url', () => {
+  assert.throws(() => new RestStorageAdapter(), /url option is required/);
+});
+
+test('load returns null for a book the server does not know', async () => {
+  const adapter = createAdapter();
+  
+  assert.equal(await adapter.load('unknown'), null);
+  adapter.destroy();
+});
+
+test('load returns the stored JSON and sends the configured headers', async () => {
+  server.store.set('report 2024', JSON.stringify([{ page: 3 }]));
+  const adapter = createAdapter({ headers: { Authorization: 'Bearer abc' } });
+  
+  assert.deepEqual(await adapter.load('report 2024'), [{ page: 3 }]);
+  assert.equal(server.requests[0].headers.authorization, 'Bearer abc');
+  assert.equal(server.requests[0].headers.accept, 'application/json');
+  adapter.destroy();
+});
+
+test('load rejects on a server error', async () => {
+  const adapter = createAdapter();
+  
+  await assert.rejects(adapter.load('broken'), /GET failed with status 500/);
+  adapter.destroy();
+});
+
+test('saves are debounced into one PUT of the latest data', async () => {
+  const adapter = createAdapter();
+  
+  await adapter.save('book', [{ page: 1 }]);
+  await adapter.save('book', [{ page: 1 }, { page: 2 }]);
+  await waitFor(() => adapter.getPendingCount() === 0);
+  
+  assert.equal(puts().length, 1);
+  assert.equal(puts()[0].headers['content-type'], 'application/json');
+  assert.deepEqual(JSON.parse(server.store.get('book')), [{ page: 1 }, { page: 2 }]);
+  adapter.destroy();
+});
+
+test('load returns queued data that was not sent yet', async () => {
+  const adapter = createAdapter({ debounce: 1000 });
+  
+  await adapter.save('book', [{ page: 7 }]);
+  
+  assert.deepEqual(await adapter.load('book'), [{ page: 7 }]);
+  assert.equal(server.requests.length, 0);
+  assert.equal(await adapter.flush(), true);
+  adapter.destroy();
+});
+
+test('flush calls made during a send wait for it and send each book once', async () => {
+  const adapter = createAdapter({ debounce: 1000 });
+  
+  await adapter.save('first', [{ page: 1 }]);
+  const running = adapter.flush();
+  await adapter.save('second', [{ page: 2 }]);
+  
+  const results = await Promise.all([running, adapter.flush(), adapter.flush()]);
+  
+  // İlk gönderim yalnızca başladığı andaki kuyruğu yollar
+  assert.deepEqual(results, [false, true, true]);
+  assert.deepEqual(puts().map((request) => request.bookId), ['first', 'second']);
+  adapter.destroy();
+});
+
+test('a 5xx response is retried with backoff until it succeeds', async () => {
+  server.putStatuses = [503, 500];
+  const errors = [];
+  const adapter = createAdapter({ onError: (error, bookId) => errors.push([error.status, bookId]) });
+  
+  await adapter.save('book', [{ page: 4 }]);
+  await waitFor(() => adapter.getPendingCount() === 0);
+  
+  assert.equal(puts().length, 3);
+  assert.deepEqual(errors, [[503, 'book'], [500, 'book']]);
+  assert.deepEqual(JSON.parse(server.store.get('book')), [{ page: 4 }]);
+  // onError verildiğinde konsola ayrıca yazılmaz
+  assert.equal(console.warn.mock.callCount(), 0);
+  adapter.destroy();
+});
+
+test('retries stop after the configured number of attempts', async () => {
+  server.putStatuses = [503, 503, 503, 503, 503];
+  const adapter = createAdapter({ retries: 2 });
+  
+  await adapter.save('book', [{ page: 4 }]);
+  await waitFor(() => puts().length === 3);
+  await new Promise((resolve) => setTimeout(resolve, 100));
+  
+  assert.equal(puts().length, 3);
+  assert.equal(adapter.getPendingCount(), 1);
+  
+  // destroy() gönderimi son kez dener, sonraki teste sızmasın
+  server.putStatuses = [];
+  await adapter.flush();
+  adapter.destroy();
+});
+
+test('a 4xx response is not retried but stays queued', async () => {
+  server.putStatuses = [403];
+  const adapter = createAdapter();
+  
+  await adapter.save('book', [{ page: 4 }]);
+  await waitFor(() => puts().length === 1);
+  await new Promise((resolve) => setTimeout(resolve, 100));
+  
+  assert.equal(puts().length, 1);
+  assert.equal(adapter.getPendingCount(), 1);
+  
+  // Sonraki gönderim kuyruktaki veriyi yine yollar
+  assert.equal(await adapter.flush(), true);
+  assert.deepEqual(JSON.parse(server.store.get('book')), [{ page: 4 }]);
+  adapter.destroy();
+});
+
+test('createBookmarkStorage rejects objects without load and save', () => {
+  assert.throws(() => createBookmarkStorage({ load() {} }), TypeError);
+  assert.throws(() => createBookmarkStorage('cloud'), /Unknown bookmark storage "cloud"/);
+});
@@ -0,0 +1,184 @@
+/**
+ * CanvasCache - Memory-Bounded Canvas Cache
+ * Render edilmiş canvas'lar için piksel/bayt bütçeli LRU önbellek
+ *
+ * Bütçe aşılınca önce geçerli sayfadan uzak olanlar, onlar arasında da en
+ * uzun süredir kullanılmayanlar atılır. Atılan canvas belgede değilse
+ * piksel belleği (backing store) hemen serbest bırakılır; mobil Safari
+ * canvas belleğini ancak genişlik ve yükseklik sıfırlanınca geri verir.
+ */
+export class CanvasCache {
+  constructor(options = {}) {
+    this.options = {
+      // 4 bayt/piksel; ikisi birden verilirse dar olanı geçerlidir
+      maxBytes: options.maxBytes !== undefined ? options.maxBytes : 128 * 1024 * 1024,
+      maxPixels: options.maxPixels !== undefined ? options.maxPixels : null,
+      // Geçerli sayfaya bu uzaklıktaki sayfalar en son atılır
+      keepAround: options.keepAround !== undefined ? options.keepAround : 2,
+      onEvict: options.onEvict || null,
+      ...options
+    };
+    
+    // key → { pageNumber, canvas, pixels }; Map sırası kullanım sırasıdır (ilk = en eski)
+    this.entries = new Map();
+    this.pixels = 0;
+    this.currentPage = null;
+    this.stats = { hits: 0, misses: 0, evictions: 0 };
+  }
+  
+  /**
+   * Önbellekten canvas al ve en son kullanılan yap
+   * @param {string} key
+   * @returns {HTMLCanvasElement|null}
+   */
+  get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) {
+      this.stats.misses++;
+      return null;
+    }
+    
+    this.stats.hits++;
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    return entry.canvas;
+  }
+  
+  /**
+   * Canvas ekle, bütçe aşılırsa başkalarını at
+   * Tek başına bütçeyi aşan canvas önbelleğe alınmaz.
+   * @param {string} key
+   * @param {HTMLCanvasElement} canvas
+   * @param {number} pageNumber - Uzaklık hesabı için sayfa numarası
+   */
+  set(key, canvas, pageNumber) {
+    this.delete(key);
+    
+    const pixels = canvas.width * canvas.height;
+    if (pixels > this._getPixelBudget()) return;
+    
+    this.entries.set(key, { pageNumber, canvas, pixels });
+    this.pixels += pixels;
+    this._evict(key);
+  }
+  
+  /**
+   * Kaydı sil (canvas'a dokunmadan)
+   * @param {string} key
+   */
+  delete(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return;
+    
+    this.entries.delete(key);
+    this.pixels -= entry.pixels;
+  }
+  
+  /**
+   * Okuyucunun bulunduğu sayfayı bildir, atma sırası buna göre belirlenir
+   * @param {number|null} pageNumber
+   */
+  setCurrentPage(pageNumber) {
+    this.currentPage = pageNumber;
+    this._evict();
+  }
+  
+  /**
+   * Bütçeyi değiştir
+   * @param {Object} budget - { maxBytes, maxPixels }
+   */
+  setBudget(budget = {}) {
+    if (budget.maxBytes !== undefined) this.options.maxBytes = budget.maxBytes;
+    if (budget.maxPixels !== undefined) this.options.maxPixels = budget.maxPixels;
+    this._evict();
+  }
+  
+  _getPixelBudget() {
+    const { maxBytes, maxPixels } = this.options;
+    const limits = [];
+    if (maxBytes !== null) limits.push(maxBytes / 4);
+    if (maxPixels !== null) limits.push(maxPixels);
+    return limits.length > 0 ? Math.min(...limits) : Infinity;
+  }
+  
+  _evict(keepKey = null) {
+    const budget = this._getPixelBudget();
+    
+    while (this.pixels > budget) {
+      const key = this._pickVictim(keepKey);
+      if (key === null) break;
+      this._evictEntry(key);
+    }
+  }
+  
+  _pickVictim(keepKey) {
+    let fallback = null;
+    
+    // Map sırası en eskiden yeniye; ilk uzak sayfa en eski uzak sayfadır
+    for (const [key, entry] of this.entries) {
+      if (key === keepKey) continue;
+      if (!this._isNear(entry.pageNumber)) return key;
+      if (fallback === null) fallback = key;
+    }
+    
+    return fallback;
+  }
+  
+  _isNear(pageNumber) {
+    if (this.currentPage === null) return false;
+    return Math.abs(pageNumber - this.currentPage) <= this.options.keepAround;
+  }
+  
+  _evictEntry(key) {
+    const entry = this.entries.get(key);
+    this.delete(key);
+    this.stats.evictions++;
+    
+    // Sahibi canvas'ı gösterimden kaldırabilsin
+    if (this.options.onEvict) {
+      this.options.onEvict(entry.pageNumber, entry.canvas, key);
+    }
+    
+    // Hâlâ gösterilen canvas'ın belleği sahibinde kalır
+    if (!entry.canvas.isConnected) {
+      CanvasCache.release(entry.canvas);
+    }
+  }
+  
+  /**
+   * Canvas'ın piksel belleğini serbest bırak
+   * @param {HTMLCanvasElement} canvas
+   */
+  static release(canvas) {
+    canvas.width = 0;
+    canvas.height = 0;
+  }
+  
+  /**
+   * Önbellek istatistikleri (hata ayıklama için)
+   * @returns {Object} - { entries, pixels, bytes, maxPixels, maxBytes, hits, misses, evictions }
+   */
+  getStats() {
+    return {
+      entries: this.entries.size,
+      pixels: this.pixels,
+      bytes: this.pixels * 4,
+      maxPixels: this.options.maxPixels,
+      maxBytes: this.options.maxBytes,
+      ...this.stats
+    };
+  }
+  
+  /**
+   * Tüm kayıtları sil, gösterilmeyen canvas'ları serbest bırak
+   */
+  clear() {
+    this.entries.forEach(({ canvas }) => {
+      if (!canvas.isConnected) {
+        CanvasCache.release(canvas);
+      }
+    });
+    this.entries.clear();
+    this.pixels = 0;
+  }
+}
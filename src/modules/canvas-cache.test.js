@@ -0,0 +1,94 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { CanvasCache } from './canvas-cache.js';
+
+// Canvas'ın önbelleğin kullandığı kadarı
+function createCanvas(width = 10, height = 10, isConnected = false) {
+  return { width, height, isConnected };
+}
+
+test('evicts the least recently used canvas when over budget', () => {
+  const evicted = [];
+  const cache = new CanvasCache({ maxPixels: 300, onEvict: (pageNumber) => evicted.push(pageNumber) });
+  
+  cache.set('a', createCanvas(), 1);
+  cache.set('b', createCanvas(), 2);
+  cache.set('c', createCanvas(), 3);
+  cache.get('a');
+  cache.set('d', createCanvas(), 4);
+  
+  assert.deepEqual(evicted, [2]);
+  assert.equal(cache.get('b'), null);
+  assert.notEqual(cache.get('a'), null);
+  assert.equal(cache.getStats().pixels, 300);
+});
+
+test('pages near the current page are evicted last', () => {
+  const evicted = [];
+  const cache = new CanvasCache({ maxPixels: 300, keepAround: 1, onEvict: (pageNumber) => evicted.push(pageNumber) });
+  
+  cache.set('p5', createCanvas(), 5);
+  cache.set('p20', createCanvas(), 20);
+  cache.set('p6', createCanvas(), 6);
+  cache.setCurrentPage(5);
+  cache.set('p7', createCanvas(), 7);
+  
+  assert.deepEqual(evicted, [20]);
+});
+
+test('byte budget counts four bytes per pixel and the tighter limit wins', () => {
+  const cache = new CanvasCache({ maxBytes: 800, maxPixels: 1000 });
+  
+  cache.set('a', createCanvas(), 1);
+  cache.set('b', createCanvas(), 2);
+  cache.set('c', createCanvas(), 3);
+  
+  assert.equal(cache.getStats().entries, 2);
+  assert.equal(cache.getStats().bytes, 800);
+});
+
+test('a canvas larger than the whole budget is not cached', () => {
+  const cache = new CanvasCache({ maxPixels: 50 });
+  
+  cache.set('big', createCanvas(), 1);
+  
+  assert.equal(cache.get('big'), null);
+  assert.equal(cache.getStats().pixels, 0);
+});
+
+test('evicted canvases are released unless still on screen', () => {
+  const cache = new CanvasCache({ maxPixels: 100 });
+  const detached = createCanvas();
+  const shown = createCanvas(10, 10, true);
+  
+  cache.set('detached', detached, 1);
+  cache.set('shown', shown, 2);
+  cache.set('next', createCanvas(), 3);
+  
+  assert.equal(detached.width, 0);
+  assert.equal(detached.height, 0);
+  assert.equal(shown.width, 10);
+});
+
+test('shrinking the budget evicts immediately', () => {
+  const cache = new CanvasCache({ maxPixels: 300 });
+  cache.set('a', createCanvas(), 1);
+  cache.set('b', createCanvas(), 2);
+  cache.set('c', createCanvas(), 3);
+  
+  cache.setBudget({ maxPixels: 100 });
+  
+  assert.equal(cache.getStats().entries, 1);
+  assert.equal(cache.getStats().evictions, 2);
+});
+
+test('stats count hits and misses', () => {
+  const cache = new CanvasCache();
+  cache.set('a', createCanvas(), 1);
+  
+  cache.get('a');
+  cache.get('missing');
+  
+  assert.equal(cache.getStats().hits, 1);
+  assert.equal(cache.getStats().misses, 1);
+});
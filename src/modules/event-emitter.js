@@ -0,0 +1,113 @@
+/**
+ * EventEmitter - Minimal Event Bus
+ * on/off/once subscription used by SimsekBook and its modules
+ */
+export class EventEmitter {
+  constructor() {
+    this._listeners = new Map();
+  }
+
+  /**
+   * Olay dinleyicisi ekle
+   * @param {string} event - Olay adı
+   * @param {Function} handler - Dinleyici fonksiyonu
+   * @returns {Function} - Dinleyiciyi kaldıran fonksiyon
+   */
+  on(event, handler) {
+    if (typeof handler !== 'function') {
+      throw new TypeError(`EventEmitter: handler for "${event}" must be a function`);
+    }
+
+    if (!this._listeners.has(event)) {
+      this._listeners.set(event, []);
+    }
+    const entry = { handler, once: false };
+    this._listeners.get(event).push(entry);
+
+    return () => this._removeEntry(event, entry);
+  }
+
+  /**
+   * Tek seferlik olay dinleyicisi ekle
+   * @param {string} event - Olay adı
+   * @param {Function} handler - Dinleyici fonksiyonu
+   * @returns {Function} - Dinleyiciyi kaldıran fonksiyon
+   */
+  once(event, handler) {
+    const unsubscribe = this.on(event, handler);
+    const listeners = this._listeners.get(event);
+    listeners[listeners.length - 1].once = true;
+
+    return unsubscribe;
+  }
+
+  /**
+   * Olay dinleyicisini kaldır
+   * Aynı handler birden çok kez eklendiyse yalnızca en son eklenen kaldırılır.
+   * Handler verilmezse olayın tüm dinleyicileri kaldırılır
+   * @param {string} event - Olay adı
+   * @param {Function} [handler] - Dinleyici fonksiyonu
+   */
+  off(event, handler) {
+    if (!this._listeners.has(event)) return;
+
+    if (!handler) {
+      this._listeners.delete(event);
+      return;
+    }
+
+    const listeners = this._listeners.get(event);
+    for (let i = listeners.length - 1; i >= 0; i--) {
+      if (listeners[i].handler === handler) {
+        this._removeEntry(event, listeners[i]);
+        return;
+      }
+    }
+  }
+
+  _removeEntry(event, entry) {
+    const listeners = this._listeners.get(event);
+    if (!listeners) return;
+
+    const remaining = listeners.filter((item) => item !== entry);
+    if (remaining.length > 0) {
+      this._listeners.set(event, remaining);
+    } else {
+      this._listeners.delete(event);
+    }
+  }
+
+  /**
+   * Olay yayınla
+   * @param {string} event - Olay adı
+   * @param {...*} args - Dinleyicilere iletilecek argümanlar
+   * @returns {boolean} - Dinleyici var mıydı
+   */
+  emit(event, ...args) {
+    const listeners = this._listeners.get(event);
+    if (!listeners || listeners.length === 0) return false;
+
+    // Dinleyiciler emit sırasında değişebilir, kopya üzerinde dolaş
+    listeners.slice().forEach((entry) => {
+      if (entry.once) {
+        this._removeEntry(event, entry);
+      }
+
+      try {
+        entry.handler(...args);
+      } catch (error) {
+        // Bir dinleyicideki hata diğerlerini engellemesin
+        console.error(`Error in "${event}" listener:`, error);
+      }
+    });
+
+    return true;
+  }
+
+  /**
+   * Tüm dinleyicileri kaldır
+   */
+  removeAllListeners() {
+    this._listeners.clear();
+  }
+}
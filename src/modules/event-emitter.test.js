@@ -0,0 +1,80 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { EventEmitter } from './event-emitter.js';
+
+test('once listener fires a single time', () => {
+  const emitter = new EventEmitter();
+  let calls = 0;
+  emitter.once('ready', () => calls++);
+  
+  emitter.emit('ready');
+  emitter.emit('ready');
+  
+  assert.equal(calls, 1);
+});
+
+test('firing a once listener keeps an on registration of the same handler', () => {
+  const emitter = new EventEmitter();
+  let calls = 0;
+  const handler = () => calls++;
+  emitter.on('flip', handler);
+  emitter.once('flip', handler);
+  
+  emitter.emit('flip');
+  emitter.emit('flip');
+  
+  assert.equal(calls, 3);
+});
+
+test('the once unsubscribe function removes only its own registration', () => {
+  const emitter = new EventEmitter();
+  let calls = 0;
+  const handler = () => calls++;
+  emitter.on('flip', handler);
+  const unsubscribe = emitter.once('flip', handler);
+  
+  unsubscribe();
+  emitter.emit('flip');
+  emitter.emit('flip');
+  
+  assert.equal(calls, 2);
+});
+
+test('off removes one registration, the most recent first', () => {
+  const emitter = new EventEmitter();
+  let calls = 0;
+  const handler = () => calls++;
+  emitter.on('flip', handler);
+  emitter.once('flip', handler);
+  
+  emitter.off('flip', handler);
+  emitter.emit('flip');
+  emitter.emit('flip');
+  assert.equal(calls, 2);
+  
+  emitter.off('flip', handler);
+  assert.equal(emitter.emit('flip'), false);
+});
+
+test('off without a handler removes every listener of the event', () => {
+  const emitter = new EventEmitter();
+  emitter.on('flip', () => {});
+  emitter.once('flip', () => {});
+  
+  emitter.off('flip');
+  
+  assert.equal(emitter.emit('flip'), false);
+});
+
+test('a throwing listener does not stop the others', (t) => {
+  const emitter = new EventEmitter();
+  const errors = t.mock.method(console, 'error', () => {});
+  let called = false;
+  emitter.on('flip', () => { throw new Error('boom'); });
+  emitter.on('flip', () => { called = true; });
+  
+  emitter.emit('flip');
+  
+  assert.equal(called, true);
+  assert.equal(errors.mock.callCount(), 1);
+});
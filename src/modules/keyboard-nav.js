@@ -6,6 +6,8 @@ export class KeyboardNav {
   constructor(options = {}) {
     this.options = {
       enabled: options.enabled !== false,
+      rtl: options.rtl || false,
+      orientation: options.orientation || 'horizontal',
       onNext: options.onNext || null,
       onPrev: options.onPrev || null,
       onFirst: options.onFirst || null,
@@ -44,16 +46,35 @@ export class KeyboardNav {
     // Input/textarea içindeyse ignore et
     if (this._isInputElement(e.target)) return;
     
+    // Sağdan sola kitaplarda ok tuşları ters çalışır
+    const onRight = this.options.rtl ? this.options.onPrev : this.options.onNext;
+    const onLeft = this.options.rtl ? this.options.onNext : this.options.onPrev;
+    
     switch (e.key) {
       // Sayfa navigasyonu
       case 'ArrowRight':
       case 'Right':
         e.preventDefault();
-        if (this.options.onNext) this.options.onNext();
+        if (onRight) onRight();
         break;
         
       case 'ArrowLeft':
       case 'Left':
+        e.preventDefault();
+        if (onLeft) onLeft();
+        break;
+        
+      // Dikey (üstten ciltli) kitaplarda yukarı/aşağı okları
+      case 'ArrowDown':
+      case 'Down':
+        if (this.options.orientation !== 'vertical') break;
+        e.preventDefault();
+        if (this.options.onNext) this.options.onNext();
+        break;
+        
+      case 'ArrowUp':
+      case 'Up':
+        if (this.options.orientation !== 'vertical') break;
         e.preventDefault();
         if (this.options.onPrev) this.options.onPrev();
         break;
@@ -208,10 +229,17 @@ export class KeyboardNav {
    * @returns {Object}
    */
   getShortcuts() {
+    let nextKey = this.options.rtl ? 'Arrow Left' : 'Arrow Right';
+    let prevKey = this.options.rtl ? 'Arrow Right' : 'Arrow Left';
+    if (this.options.orientation === 'vertical') {
+      nextKey += ' / Arrow Down';
+      prevKey += ' / Arrow Up';
+    }
+    
     return {
       navigation: {
-        'Arrow Right / Page Down / Space': 'Next page',
-        'Arrow Left / Page Up / Shift+Space': 'Previous page',
+        [`${nextKey} / Page Down / Space`]: 'Next page',
+        [`${prevKey} / Page Up / Shift+Space`]: 'Previous page',
         'Home': 'First page',
         'End': 'Last page'
       },
@@ -16,6 +16,18 @@ export class PageFlip {
       pageBackColor: options.pageBackColor || '#f5f5dc',
       onFlipStart: options.onFlipStart || null,
       onFlipEnd: options.onFlipEnd || null,
+      beforeFlip: options.beforeFlip || null,
+      display: options.display || 'double',
+      rtl: options.rtl || false,
+      orientation: options.orientation || 'horizontal',
+      showCover: options.showCover || options.hardCover || false,
+      hardCover: options.hardCover || false,
+      coverFlipDuration: options.coverFlipDuration || (options.duration || 800) * 1.5,
+      autoSingleRatio: options.autoSingleRatio || 1,
+      onDisplayChange: options.onDisplayChange || null,
+      getBookmark: options.getBookmark || null,
+      onRibbonToggle: options.onRibbonToggle || null,
+      onRibbonJump: options.onRibbonJump || null,
       ...options
     };
     
@@ -23,8 +35,18 @@ export class PageFlip {
     this.totalPages = 0;
     this.isFlipping = false;
     this.pages = [];
+    this.pageContents = [];
     this.bookElement = null;
     
+    // Display mode ('single' | 'double') and page indices per spread
+    this.displayMode = 'double';
+    this.spreadLayout = [];
+    this.resizeObserver = null;
+    this._displayModeTimer = null;
+    
+    // Bookmark ribbon tabs along the page stack edges
+    this.ribbonEdge = null;
+    
     // Drag state
     this.isDragging = false;
     this.dragStartX = 0;
@@ -55,11 +77,122 @@ export class PageFlip {
     if (this.options.enableDragFlip) {
       this._setupDragEvents();
     }
+    
+    this.displayMode = this._resolveDisplayMode();
+    this._updateDisplayClass();
+    if (this.options.display === 'auto') {
+      this._setupDisplayObserver();
+    }
+  }
+  
+  _resolveDisplayMode() {
+    if (this.options.display === 'single') return 'single';
+    if (this.options.display !== 'auto') return 'double';
+    
+    const rect = this.container.getBoundingClientRect();
+    if (!rect.width || !rect.height) return this.displayMode;
+    
+    // Portrait containers are too narrow for two readable pages
+    return rect.width < rect.height * this.options.autoSingleRatio ? 'single' : 'double';
+  }
+  
+  _setupDisplayObserver() {
+    if (this.resizeObserver || typeof ResizeObserver === 'undefined') return;
+    
+    this.resizeObserver = new ResizeObserver(() => this._applyDisplayMode());
+    this.resizeObserver.observe(this.container);
+  }
+  
+  _updateDisplayClass() {
+    this.bookElement.classList.toggle('simsek-display-single', this.displayMode === 'single');
+    this.bookElement.classList.toggle('simsek-display-double', this.displayMode === 'double');
+  }
+  
+  _applyDisplayMode() {
+    const mode = this._resolveDisplayMode();
+    if (mode === this.displayMode) return;
+    
+    // Never re-layout under a running animation, try again once it is over
+    if (!this._canMutatePages()) {
+      clearTimeout(this._displayModeTimer);
+      this._displayModeTimer = setTimeout(() => this._applyDisplayMode(), this.options.duration);
+      return;
+    }
+    
+    this.displayMode = mode;
+    this._updateDisplayClass();
+    this._rebuildPages(this.currentPage);
+    
+    if (this.options.onDisplayChange) {
+      this.options.onDisplayChange(mode);
+    }
+  }
+  
+  _isVertical() {
+    return this.options.orientation === 'vertical';
+  }
+  
+  _getFlipOrigin() {
+    // Vertical books are bound at the top, single pages turn around that edge
+    if (this._isVertical()) {
+      return this.displayMode === 'single' ? 'center top' : 'center bottom';
+    }
+    
+    // Single pages turn around the spine on their left edge; RTL mirrors both modes
+    const bindLeft = (this.displayMode === 'single') !== this.options.rtl;
+    return bindLeft ? 'left center' : 'right center';
+  }
+  
+  _getTurnedAngle() {
+    // Rotation of a spread that has been turned away
+    if (this._isVertical()) return 180;
+    return this.options.rtl ? 180 : -180;
+  }
+  
+  _getRotation(angle) {
+    // Vertical books flip upwards around the horizontal axis
+    return this._isVertical() ? `rotateX(${angle}deg)` : `rotateY(${angle}deg)`;
+  }
+  
+  _mirrorForRTL(element) {
+    if (!this.options.rtl) return;
+    
+    element.style.left = '0';
+    element.style.right = 'auto';
+    element.style.transform = 'scaleX(-1)';
+  }
+  
+  _orientForVertical(element) {
+    if (!this._isVertical()) return;
+    
+    // Turn a horizontal overlay into its top-bound equivalent
+    const gradient = element.style.background
+      .replace('to right', 'to bottom')
+      .replace('to left', 'to top');
+    element.style.background = gradient;
+    element.style.top = 'auto';
+    element.style.left = '0';
+    element.style.right = 'auto';
+    element.style.bottom = '0';
+    
+    if (element.classList.contains('simsek-curl-overlay')) {
+      element.style.width = '100%';
+      element.style.height = this.displayMode === 'single' ? '100%' : '50%';
+    } else {
+      element.style.width = '100%';
+      element.style.height = '100%';
+    }
   }
   
   _createBookStructure() {
     this.bookElement = document.createElement('div');
     this.bookElement.className = 'simsek-book-inner simsek-3d-book';
+    if (this.options.rtl) {
+      this.bookElement.classList.add('simsek-rtl');
+    }
+    if (this._isVertical()) {
+      this.bookElement.classList.add('simsek-vertical');
+    }
     this.container.appendChild(this.bookElement);
   }
   
@@ -142,12 +275,22 @@ export class PageFlip {
     const cornerSize = Math.min(width, height) * 0.2;
     const isRightEdge = x > width * 0.6;
     const isLeftEdge = x < width * 0.4;
+    const isBottomEdge = y > height * 0.6;
+    const isTopEdge = y < height * 0.4;
+    
+    // RTL books are turned forward from the left edge, vertical ones from the bottom
+    let isNextEdge = this.options.rtl ? isLeftEdge : isRightEdge;
+    let isPrevEdge = this.options.rtl ? isRightEdge : isLeftEdge;
+    if (this._isVertical()) {
+      isNextEdge = isBottomEdge;
+      isPrevEdge = isTopEdge;
+    }
     
     // Determine drag direction based on which side was clicked
-    if (isRightEdge && this.currentPage < this.totalPages - 2) {
+    if (isNextEdge && this.canFlipNext()) {
       this.dragDirection = 'next';
       this.dragPage = this._getFlippingPage('next');
-    } else if (isLeftEdge && this.currentPage > 0) {
+    } else if (isPrevEdge && this.canFlipPrev()) {
       this.dragDirection = 'prev';
       this.dragPage = this._getFlippingPage('prev');
     } else {
@@ -173,14 +316,21 @@ export class PageFlip {
     this.dragCurrentX = x;
     this.dragCurrentY = y;
     
-    const deltaX = this.dragCurrentX - this.dragStartX;
-    const halfWidth = width / 2;
+    // Measure in reading direction so 'next' always means dragging towards the spine
+    let delta = (this.dragCurrentX - this.dragStartX) * (this.options.rtl ? -1 : 1);
+    let halfSize = width / 2;
+    
+    // Vertical books are turned by dragging the bottom edge upwards
+    if (this._isVertical()) {
+      delta = this.dragCurrentY - this.dragStartY;
+      halfSize = height / 2;
+    }
     
     // Calculate progress based on drag distance
     if (this.dragDirection === 'next') {
-      this.dragProgress = Math.max(0, Math.min(1, -deltaX / halfWidth));
+      this.dragProgress = Math.max(0, Math.min(1, -delta / halfSize));
     } else {
-      this.dragProgress = Math.max(0, Math.min(1, deltaX / halfWidth));
+      this.dragProgress = Math.max(0, Math.min(1, delta / halfSize));
     }
     
     // Apply the curl effect
@@ -204,27 +354,26 @@ export class PageFlip {
   }
   
   _getFlippingPage(direction) {
+    const currentSpread = this._getSpreadIndex(this.currentPage);
+    
     if (direction === 'next') {
-      const currentSpread = Math.floor(this.currentPage / 2);
       return this.pages[currentSpread];
     } else {
-      const prevSpread = Math.floor(this.currentPage / 2) - 1;
-      return this.pages[prevSpread];
+      return this.pages[currentSpread - 1];
     }
   }
   
   _applyCurlEffect(progress) {
     if (!this.dragPage) return;
     
+    const turnedAngle = this._getTurnedAngle();
     const angle = this.dragDirection === 'next' 
-      ? -progress * 180 
-      : -180 + progress * 180;
+      ? progress * turnedAngle 
+      : turnedAngle * (1 - progress);
     
     // Apply transform with curl effect
-    this.dragPage.style.transformOrigin = this.dragDirection === 'next' 
-      ? 'right center' 
-      : 'left center';
-    this.dragPage.style.transform = `rotateY(${angle}deg)`;
+    this.dragPage.style.transformOrigin = this._getFlipOrigin();
+    this.dragPage.style.transform = this._getRotation(angle);
     
     // Update shadow based on progress
     this._updateDynamicShadow(progress, angle);
@@ -255,20 +404,40 @@ export class PageFlip {
     
     this.isFlipping = true;
     
+    const direction = this.dragDirection;
+    const requestedPage = this._getAdjacentPage(direction);
+    const targetPage = await this._runDragBeforeFlip(requestedPage, direction);
+    
+    // Vetoed or redirected drags fall back like a cancelled drag
+    if (targetPage !== requestedPage) {
+      await this._cancelFlip();
+      this.isFlipping = false;
+      
+      if (targetPage !== null) {
+        this._jumpToPage(targetPage);
+      }
+      return;
+    }
+    
+    // The page snapped back while the hook was pending, turn it like a button press
+    if (!this.dragPage) {
+      return direction === 'next'
+        ? this._turnNext(requestedPage)
+        : this._turnPrev(requestedPage);
+    }
+    
+    const isHard = this._isHardFlip(this.currentPage, requestedPage);
+    
     if (this.options.onFlipStart) {
-      this.options.onFlipStart(this.currentPage, this.dragDirection);
+      this.options.onFlipStart(this.currentPage, direction, isHard);
     }
     
     // Animate to completion
-    const targetAngle = this.dragDirection === 'next' ? -180 : 0;
-    await this._animateToAngle(this.dragPage, targetAngle);
+    const targetAngle = direction === 'next' ? this._getTurnedAngle() : 0;
+    await this._animateToAngle(this.dragPage, targetAngle, isHard);
     
     // Update page state
-    if (this.dragDirection === 'next') {
-      this.currentPage += 2;
-    } else {
-      this.currentPage -= 2;
-    }
+    this.currentPage = requestedPage;
     
     this._cleanupDragPage();
     this._updatePageVisibility();
@@ -276,21 +445,165 @@ export class PageFlip {
     this.isFlipping = false;
     
     if (this.options.onFlipEnd) {
-      this.options.onFlipEnd(this.currentPage, this.dragDirection);
+      this.options.onFlipEnd(this.currentPage, direction);
+    }
+  }
+  
+  /**
+   * Run the beforeFlip hook for a released drag
+   * A hook that has not answered by the next task snaps the page back
+   * instead of leaving it frozen mid-curl until the promise settles.
+   * @param {number} requestedPage - Page the drag would turn to
+   * @param {string} direction - 'next' or 'prev'
+   * @returns {Promise<number|null>} - Page to go to, or null if vetoed
+   */
+  async _runDragBeforeFlip(requestedPage, direction) {
+    if (!this.options.beforeFlip) return requestedPage;
+    
+    let settled = false;
+    const decision = this._runBeforeFlip(requestedPage, direction).then((page) => {
+      settled = true;
+      return page;
+    });
+    
+    await new Promise((resolve) => setTimeout(resolve, 0));
+    if (!settled) {
+      await this._cancelFlip();
     }
+    
+    return decision;
   }
   
   async _cancelFlip() {
     if (!this.dragPage) return;
     
     // Animate back to start
-    const targetAngle = this.dragDirection === 'next' ? 0 : -180;
+    const targetAngle = this.dragDirection === 'next' ? 0 : this._getTurnedAngle();
     await this._animateToAngle(this.dragPage, targetAngle);
     
     this._cleanupDragPage();
     this._updatePageVisibility();
   }
   
+  /**
+   * Run the beforeFlip hook for a pending page turn
+   * The hook may return false (or a promise resolving to false) to cancel,
+   * or a page number to redirect the turn to another page. A redirect to
+   * the page already shown counts as a cancel.
+   * @param {number} targetPage - Requested page
+   * @param {string} direction - 'next', 'prev' or 'goto'
+   * @returns {Promise<number|null>} - Page to go to, or null if vetoed
+   */
+  async _runBeforeFlip(targetPage, direction) {
+    if (!this.options.beforeFlip) return targetPage;
+    
+    try {
+      const result = await this.options.beforeFlip(this.currentPage, targetPage, direction);
+      
+      if (result === false) return null;
+      if (typeof result === 'number' && Number.isFinite(result)) {
+        const page = this._normalizePage(result);
+        return page === this.currentPage ? null : page;
+      }
+      return targetPage;
+    } catch (error) {
+      console.warn('beforeFlip hook failed, page turn cancelled:', error);
+      return null;
+    }
+  }
+  
+  _computeSpreadLayout() {
+    const pagesPerSpread = this.displayMode === 'single' ? 1 : 2;
+    const layout = [];
+    
+    if (pagesPerSpread === 2 && this.options.showCover && this.totalPages > 0) {
+      // Front cover alone, inner pages paired from page 1, back cover alone
+      const lastPage = this.totalPages - 1;
+      layout.push([0]);
+      
+      for (let i = 1; i < lastPage; i += 2) {
+        layout.push(i + 1 < lastPage ? [i, i + 1] : [i]);
+      }
+      
+      if (lastPage > 0) {
+        layout.push([lastPage]);
+      }
+      return layout;
+    }
+    
+    for (let i = 0; i < this.totalPages; i += pagesPerSpread) {
+      const spread = [];
+      for (let j = i; j < Math.min(i + pagesPerSpread, this.totalPages); j++) {
+        spread.push(j);
+      }
+      layout.push(spread);
+    }
+    
+    return layout;
+  }
+  
+  _isCoverSpread(spreadIndex) {
+    // Only covers standing alone in a double spread layout are boards
+    if (!this.options.hardCover || !this.options.showCover || this.displayMode === 'single') return false;
+    
+    const lastIndex = this.spreadLayout.length - 1;
+    if (spreadIndex !== 0 && spreadIndex !== lastIndex) return false;
+    
+    const spread = this.spreadLayout[spreadIndex];
+    if (!spread || spread.length !== 1) return false;
+    
+    return spread[0] === 0 || spread[0] === this.totalPages - 1;
+  }
+  
+  _isHardFlip(fromPage, toPage) {
+    return this._isCoverSpread(this._getSpreadIndex(fromPage)) ||
+      this._isCoverSpread(this._getSpreadIndex(toPage));
+  }
+  
+  _getFlipTiming(isHard) {
+    // Covers are rigid boards: slower, evenly paced, no overshoot
+    return isHard
+      ? { duration: this.options.coverFlipDuration, easing: 'cubic-bezier(0.45, 0, 0.55, 1)' }
+      : { duration: this.options.duration, easing: 'cubic-bezier(0.22, 1, 0.36, 1)' };
+  }
+  
+  _getSpreadIndex(pageNumber) {
+    const index = this.spreadLayout.findIndex((spread) => spread.includes(pageNumber));
+    return Math.max(0, index);
+  }
+  
+  _getAdjacentPage(direction) {
+    const spreadIndex = this._getSpreadIndex(this.currentPage) + (direction === 'next' ? 1 : -1);
+    const spread = this.spreadLayout[spreadIndex];
+    return spread ? spread[0] : this.currentPage;
+  }
+  
+  _normalizePage(pageNumber) {
+    pageNumber = Math.max(0, Math.min(pageNumber, this.totalPages - 1));
+    
+    // Snap to the first page of the spread that shows it
+    const spread = this.spreadLayout[this._getSpreadIndex(pageNumber)];
+    return spread ? spread[0] : 0;
+  }
+  
+  _jumpToPage(pageNumber, animate = true) {
+    if (pageNumber === this.currentPage) return true;
+    
+    // Jumps and beforeFlip redirects pair their flipend with a flipstart too
+    if (this.options.onFlipStart) {
+      this.options.onFlipStart(this.currentPage, 'goto', false, animate);
+    }
+    
+    this.currentPage = pageNumber;
+    this._updatePageVisibility(animate);
+    
+    if (this.options.onFlipEnd) {
+      this.options.onFlipEnd(this.currentPage, 'goto');
+    }
+    
+    return true;
+  }
+  
   _cleanupDragPage() {
     if (this.dragPage) {
       this.dragPage.classList.remove('simsek-page-dragging');
@@ -301,7 +614,9 @@ export class PageFlip {
     this.dragProgress = 0;
   }
   
-  _animateToAngle(element, targetAngle) {
+  _animateToAngle(element, targetAngle, isHard = false) {
+    const { duration, easing } = this._getFlipTiming(isHard);
+    
     return new Promise((resolve) => {
       const handleTransitionEnd = (e) => {
         if (e.propertyName === 'transform') {
@@ -311,44 +626,144 @@ export class PageFlip {
       };
       
       element.addEventListener('transitionend', handleTransitionEnd);
-      element.style.transition = `transform ${this.options.duration * 0.5}ms cubic-bezier(0.22, 1, 0.36, 1)`;
-      element.style.transform = `rotateY(${targetAngle}deg)`;
+      element.style.transition = `transform ${duration * 0.5}ms ${easing}`;
+      element.style.transform = this._getRotation(targetAngle);
       
       // Fallback timeout in case transitionend doesn't fire
       setTimeout(() => {
         element.removeEventListener('transitionend', handleTransitionEnd);
         resolve();
-      }, this.options.duration * 0.5 + 50);
+      }, duration * 0.5 + 50);
     });
   }
   
   /**
    * Load pages into the book
    * @param {Array} pageContents - Page contents (HTML or img elements)
+   * @param {number} [startPage] - Page to show, defaults to the current page
    */
-  loadPages(pageContents) {
+  loadPages(pageContents, startPage = this.currentPage) {
+    this.pageContents = pageContents.slice();
+    this._buildSpreads();
+    this.currentPage = this._normalizePage(startPage);
+    this._updatePageVisibility();
+  }
+  
+  _buildSpreads() {
     this.pages = [];
     this.bookElement.innerHTML = '';
-    this.totalPages = pageContents.length;
-    
-    // Create pages in pairs (left and right)
-    for (let i = 0; i < pageContents.length; i += 2) {
-      const spread = this._createSpread(
-        pageContents[i],
-        pageContents[i + 1] || null,
-        i
-      );
+    this.totalPages = this.pageContents.length;
+    this.spreadLayout = this._computeSpreadLayout();
+    
+    // Create spreads (page pairs in double mode, single pages otherwise)
+    this.spreadLayout.forEach((pageIndices, spreadIndex) => {
+      const spread = this._createSpread(pageIndices, spreadIndex);
       this.bookElement.appendChild(spread);
       this.pages.push(spread);
-    }
-    
+    });
+  }
+  
+  /**
+   * Rebuild spreads after the page list changed, keeping the reader
+   * on the spread that contains the given logical page
+   * @param {number} anchorPage - Page index in the new page list
+   */
+  _rebuildPages(anchorPage) {
+    this._buildSpreads();
+    this.currentPage = this._normalizePage(anchorPage);
     this._updatePageVisibility();
   }
   
-  _createSpread(leftContent, rightContent, index) {
+  _canMutatePages() {
+    return !this.isFlipping && !this.isDragging;
+  }
+  
+  /**
+   * Insert a page
+   * @param {number} index - Position of the new page (0-indexed)
+   * @param {string|HTMLElement} content - Image URL, HTML string or element
+   * @returns {boolean} - False while a page turn is in progress
+   */
+  insertPage(index, content) {
+    if (!this._canMutatePages()) return false;
+    
+    index = Math.max(0, Math.min(index, this.pageContents.length));
+    this.pageContents.splice(index, 0, content);
+    
+    this._rebuildPages(index <= this.currentPage ? this.currentPage + 1 : this.currentPage);
+    return true;
+  }
+  
+  /**
+   * Remove a page
+   * @param {number} index - Page index (0-indexed)
+   * @returns {boolean} - False if the index is invalid or a page turn is in progress
+   */
+  removePage(index) {
+    if (!this._canMutatePages()) return false;
+    if (index < 0 || index >= this.pageContents.length) return false;
+    
+    this.pageContents.splice(index, 1);
+    
+    this._rebuildPages(index < this.currentPage ? this.currentPage - 1 : this.currentPage);
+    return true;
+  }
+  
+  /**
+   * Replace the content of a page
+   * @param {number} index - Page index (0-indexed)
+   * @param {string|HTMLElement} content - Image URL, HTML string or element
+   * @returns {boolean} - False if the index is invalid or a page turn is in progress
+   */
+  replacePage(index, content) {
+    if (!this._canMutatePages()) return false;
+    if (index < 0 || index >= this.pageContents.length) return false;
+    
+    this.pageContents[index] = content;
+    
+    this._rebuildPages(this.currentPage);
+    return true;
+  }
+  
+  /**
+   * Append pages to the end of the book
+   * @param {Array|string|HTMLElement} contents - Page contents, or a single page
+   * @returns {boolean} - False while a page turn is in progress
+   */
+  appendPages(contents) {
+    if (!this._canMutatePages()) return false;
+    
+    this.pageContents.push(...(Array.isArray(contents) ? contents : [contents]));
+    
+    this._rebuildPages(this.currentPage);
+    return true;
+  }
+  
+  _createSpread(pageIndices, spreadIndex) {
+    const [firstIndex, secondIndex] = pageIndices;
+    const vertical = this._isVertical();
+    
+    // In RTL books the first page of a spread is on the right, vertical books stack top to bottom
+    let firstSide = this.options.rtl ? 'right' : 'left';
+    let secondSide = this.options.rtl ? 'left' : 'right';
+    if (vertical) {
+      firstSide = 'top';
+      secondSide = 'bottom';
+    }
+    
+    let flexDirection = this.options.rtl ? 'row-reverse' : 'row';
+    if (vertical) {
+      flexDirection = 'column';
+    }
+    
+    const isCover = this._isCoverSpread(spreadIndex);
+    
     const spread = document.createElement('div');
     spread.className = 'simsek-spread simsek-3d-spread';
-    spread.dataset.index = Math.floor(index / 2);
+    spread.dataset.index = spreadIndex;
+    if (isCover) {
+      spread.classList.add('simsek-hard-page');
+    }
     
     spread.style.cssText = `
       position: absolute;
@@ -358,53 +773,229 @@ export class PageFlip {
       transform-style: preserve-3d;
       transition: transform ${this.options.duration}ms cubic-bezier(0.22, 1, 0.36, 1);
       will-change: transform;
+      flex-direction: ${flexDirection};
     `;
     
-    // Left page (front side)
-    const leftPage = this._createPage(leftContent, 'left', index);
-    spread.appendChild(leftPage);
+    // Page index and side of every page on this spread, used for ribbons
+    const placed = [];
+    
+    if (this.displayMode === 'single') {
+      // Single page, bound on the spine edge like an outer-side page
+      spread.appendChild(this._createPage(this.pageContents[firstIndex], secondSide, firstIndex));
+      placed.push([firstIndex, secondSide]);
+    } else if (this.options.showCover && firstIndex === 0) {
+      // Front cover sits alone on the outer half
+      const spacer = document.createElement('div');
+      spacer.className = 'simsek-page-spacer';
+      spacer.style.cssText = vertical ? 'width: 100%; height: 50%;' : 'width: 50%; height: 100%;';
+      spread.appendChild(spacer);
+      spread.appendChild(this._createPage(this.pageContents[firstIndex], secondSide, firstIndex));
+      placed.push([firstIndex, secondSide]);
+    } else {
+      // First page (front side)
+      const firstPage = this._createPage(this.pageContents[firstIndex], firstSide, firstIndex);
+      spread.appendChild(firstPage);
+      placed.push([firstIndex, firstSide]);
+      
+      // Second page (front side)
+      if (secondIndex !== undefined) {
+        const secondPage = this._createPage(this.pageContents[secondIndex], secondSide, secondIndex);
+        spread.appendChild(secondPage);
+        placed.push([secondIndex, secondSide]);
+      }
+    }
     
-    // Right page (front side)
-    if (rightContent) {
-      const rightPage = this._createPage(rightContent, 'right', index + 1);
-      spread.appendChild(rightPage);
+    // Bookmark ribbons sticking out of the top edge
+    if (this.options.getBookmark) {
+      placed.forEach(([pageNumber, side]) => {
+        spread.appendChild(this._createRibbon(pageNumber, side));
+      });
     }
     
     // Add back side of the spread (visible when flipped)
-    const backSide = this._createBackSide(index);
+    const backSide = this._createBackSide(firstIndex);
     spread.appendChild(backSide);
     
     // Add shadow layer
     const shadow = this._createShadowLayer();
     spread.appendChild(shadow);
     
-    // Add curl overlay for visual effect
-    if (this.options.enablePageCurl) {
+    // Add curl overlay for visual effect (hard covers do not bend)
+    if (this.options.enablePageCurl && !isCover) {
       const curlOverlay = this._createCurlOverlay();
       spread.appendChild(curlOverlay);
     }
     
     // Add corner curl hint for hover effect
     if (this.options.enableDragFlip) {
-      this._addCornerHints(spread, index);
+      this._addCornerHints(spread, firstIndex);
     }
     
     return spread;
   }
   
+  _createRibbon(pageNumber, side) {
+    const ribbon = document.createElement('div');
+    ribbon.className = 'simsek-page-ribbon';
+    ribbon.dataset.pageNumber = pageNumber;
+    
+    // Placed near the outer corner of its page, above the top edge
+    const single = this.displayMode === 'single';
+    let position;
+    if (this._isVertical()) {
+      const top = side === 'bottom' && !single ? 'calc(50% + 12px)' : '12px';
+      position = `top: ${top}; right: -10px; width: 40px; height: 18px;`;
+    } else if (side === 'left') {
+      position = 'top: -10px; left: 24px; width: 18px; height: 44px;';
+    } else {
+      position = 'top: -10px; right: 24px; width: 18px; height: 44px;';
+    }
+    
+    ribbon.style.cssText = `
+      position: absolute;
+      ${position}
+      z-index: 60;
+      cursor: pointer;
+      backface-visibility: hidden;
+      transition: opacity 0.2s ease, transform 0.2s ease;
+    `;
+    
+    // Keep the click from starting a page drag
+    const stop = (e) => e.stopPropagation();
+    ribbon.addEventListener('mousedown', stop);
+    ribbon.addEventListener('touchstart', stop, { passive: true });
+    
+    ribbon.addEventListener('click', (e) => {
+      e.stopPropagation();
+      if (this.options.onRibbonToggle) {
+        this.options.onRibbonToggle(pageNumber);
+      }
+    });
+    
+    this._paintRibbon(ribbon, this.options.getBookmark(pageNumber));
+    
+    return ribbon;
+  }
+  
+  _paintRibbon(ribbon, bookmark) {
+    const pageNumber = Number(ribbon.dataset.pageNumber);
+    const vertical = this._isVertical();
+    
+    ribbon.classList.toggle('simsek-page-ribbon-active', !!bookmark);
+    ribbon.title = bookmark
+      ? (bookmark.title || `Page ${pageNumber + 1}`)
+      : `Bookmark page ${pageNumber + 1}`;
+    ribbon.style.background = bookmark && bookmark.color
+      ? bookmark.color
+      : 'var(--simsek-bookmark-color, #ff4444)';
+    
+    // Swallow-tail cut at the free end
+    ribbon.style.clipPath = vertical
+      ? 'polygon(0 0, 100% 0, 80% 50%, 100% 100%, 0 100%)'
+      : 'polygon(0 0, 100% 0, 100% 100%, 50% 80%, 0 100%)';
+  }
+  
+  _getEdgeSides() {
+    // Edges where the unread ('next') and read ('prev') page stacks sit
+    if (this._isVertical()) return { next: 'bottom', prev: 'top' };
+    return this.options.rtl ? { next: 'left', prev: 'right' } : { next: 'right', prev: 'left' };
+  }
+  
+  _renderRibbonEdge() {
+    if (!this.options.getBookmark) return;
+    
+    if (!this.ribbonEdge || !this.ribbonEdge.isConnected) {
+      this.ribbonEdge = document.createElement('div');
+      this.ribbonEdge.className = 'simsek-ribbon-edge';
+      this.ribbonEdge.style.cssText = `
+        position: absolute;
+        inset: 0;
+        pointer-events: none;
+        z-index: 70;
+      `;
+      this.bookElement.appendChild(this.ribbonEdge);
+    }
+    
+    this.ribbonEdge.innerHTML = '';
+    
+    const visible = this.getVisiblePages();
+    const edges = this._getEdgeSides();
+    const span = Math.max(1, this.totalPages - 1);
+    
+    for (let pageNumber = 0; pageNumber < this.totalPages; pageNumber++) {
+      if (visible.includes(pageNumber)) continue;
+      
+      const bookmark = this.options.getBookmark(pageNumber);
+      if (!bookmark) continue;
+      
+      // Tabs are spread along the edge by page order, like index tabs
+      const edge = pageNumber > visible[visible.length - 1] ? edges.next : edges.prev;
+      const offset = 8 + (pageNumber / span) * 84;
+      const alongTop = edge === 'top' || edge === 'bottom';
+      
+      const tab = document.createElement('div');
+      tab.className = `simsek-ribbon-tab simsek-ribbon-tab-${edge}`;
+      tab.dataset.pageNumber = pageNumber;
+      tab.title = bookmark.title || `Page ${pageNumber + 1}`;
+      tab.style.cssText = `
+        position: absolute;
+        ${edge}: -12px;
+        ${alongTop ? 'left' : 'top'}: ${offset}%;
+        width: ${alongTop ? '10px' : '14px'};
+        height: ${alongTop ? '14px' : '10px'};
+        background: ${bookmark.color || 'var(--simsek-bookmark-color, #ff4444)'};
+        border-radius: 2px;
+        box-shadow: 0 1px 3px rgba(0,0,0,0.3);
+        cursor: pointer;
+        pointer-events: auto;
+      `;
+      
+      tab.addEventListener('mousedown', (e) => e.stopPropagation());
+      tab.addEventListener('touchstart', (e) => e.stopPropagation(), { passive: true });
+      tab.addEventListener('click', (e) => {
+        e.stopPropagation();
+        if (this.options.onRibbonJump) {
+          this.options.onRibbonJump(pageNumber);
+        }
+      });
+      
+      this.ribbonEdge.appendChild(tab);
+    }
+  }
+  
+  /**
+   * Refresh bookmark ribbons after bookmarks changed
+   */
+  updateRibbons() {
+    if (!this.options.getBookmark) return;
+    
+    this.bookElement.querySelectorAll('.simsek-page-ribbon').forEach((ribbon) => {
+      this._paintRibbon(ribbon, this.options.getBookmark(Number(ribbon.dataset.pageNumber)));
+    });
+    
+    this._renderRibbonEdge();
+  }
+  
   _createPage(content, side, pageNumber) {
     const page = document.createElement('div');
     page.className = `simsek-page simsek-page-${side} simsek-3d-page`;
     page.dataset.pageNumber = pageNumber;
     
+    const size = this.displayMode === 'single' ? '100%' : '50%';
+    const spineShadows = {
+      left: 'inset -15px 0 30px -15px rgba(0,0,0,0.15)',
+      right: 'inset 15px 0 30px -15px rgba(0,0,0,0.15)',
+      top: 'inset 0 -15px 30px -15px rgba(0,0,0,0.15)',
+      bottom: 'inset 0 15px 30px -15px rgba(0,0,0,0.15)'
+    };
+    const textureAngles = { left: '90deg', right: '270deg', top: '180deg', bottom: '0deg' };
+    
     page.style.cssText = `
       position: relative;
-      width: 50%;
-      height: 100%;
+      width: ${this._isVertical() ? '100%' : size};
+      height: ${this._isVertical() ? size : '100%'};
       background: var(--simsek-page-bg, #fff);
-      box-shadow: ${side === 'left' 
-        ? 'inset -15px 0 30px -15px rgba(0,0,0,0.15)' 
-        : 'inset 15px 0 30px -15px rgba(0,0,0,0.15)'};
+      box-shadow: ${spineShadows[side]};
       overflow: hidden;
       transform-style: preserve-3d;
       backface-visibility: hidden;
@@ -466,7 +1057,7 @@ export class PageFlip {
       bottom: 0;
       pointer-events: none;
       background: linear-gradient(
-        ${side === 'left' ? '90deg' : '270deg'},
+        ${textureAngles[side]},
         transparent 0%,
         rgba(0,0,0,0.02) 50%,
         rgba(0,0,0,0.05) 100%
@@ -490,9 +1081,10 @@ export class PageFlip {
       width: 100%;
       height: 100%;
       background: ${this.options.pageBackColor};
-      transform: rotateY(180deg);
+      transform: ${this._getRotation(180)};
       backface-visibility: hidden;
       display: flex;
+      flex-direction: ${this._isVertical() ? 'column' : 'row'};
       border-radius: 0 4px 4px 0;
     `;
     
@@ -535,7 +1127,19 @@ export class PageFlip {
       pointer-events: none;
     `;
     
-    back.appendChild(leftBack);
+    // Vertical back pages are stacked like their fronts
+    if (this._isVertical()) {
+      leftBack.style.width = rightBack.style.width = '100%';
+      leftBack.style.height = rightBack.style.height = '50%';
+    }
+    
+    // A single page has one back face
+    if (this.displayMode === 'single') {
+      rightBack.style.width = '100%';
+      rightBack.style.height = '100%';
+    } else {
+      back.appendChild(leftBack);
+    }
     back.appendChild(rightBack);
     back.appendChild(pattern);
     
@@ -561,6 +1165,8 @@ export class PageFlip {
       );
       transition: opacity 0.3s ease;
     `;
+    this._mirrorForRTL(shadow);
+    this._orientForVertical(shadow);
     return shadow;
   }
   
@@ -571,7 +1177,7 @@ export class PageFlip {
       position: absolute;
       top: 0;
       right: 0;
-      width: 50%;
+      width: ${this.displayMode === 'single' ? '100%' : '50%'};
       height: 100%;
       pointer-events: none;
       opacity: 0;
@@ -585,6 +1191,8 @@ export class PageFlip {
       );
       transition: opacity 0.3s ease;
     `;
+    this._mirrorForRTL(curl);
+    this._orientForVertical(curl);
     return curl;
   }
   
@@ -621,6 +1229,13 @@ export class PageFlip {
     `;
     
     cornerHint.appendChild(curlVisual);
+    this._mirrorForRTL(cornerHint);
+    if (this._isVertical()) {
+      // Calendars are lifted from the bottom corner
+      cornerHint.style.top = 'auto';
+      cornerHint.style.bottom = '0';
+      cornerHint.style.transform = 'scaleY(-1)';
+    }
     spread.appendChild(cornerHint);
     
     // Hover effects
@@ -673,30 +1288,38 @@ export class PageFlip {
     return color;
   }
   
-  _updatePageVisibility() {
-    const currentSpread = Math.floor(this.currentPage / 2);
+  _updatePageVisibility(animate = true) {
+    const currentSpread = this._getSpreadIndex(this.currentPage);
+    const origin = this._getFlipOrigin();
     
     this.pages.forEach((spread, index) => {
       // Reset transition
-      spread.style.transition = `transform ${this.options.duration}ms cubic-bezier(0.22, 1, 0.36, 1)`;
+      spread.style.transition = animate
+        ? `transform ${this.options.duration}ms cubic-bezier(0.22, 1, 0.36, 1)`
+        : 'none';
+      
+      // Only the open spread shows its page ribbons
+      spread.classList.toggle('simsek-spread-current', index === currentSpread);
       
       if (index === currentSpread) {
         spread.style.display = 'flex';
         spread.style.zIndex = '10';
-        spread.style.transform = 'rotateY(0deg)';
-        spread.style.transformOrigin = 'right center';
+        spread.style.transform = this._getRotation(0);
+        spread.style.transformOrigin = origin;
       } else if (index < currentSpread) {
         spread.style.display = 'flex';
         spread.style.zIndex = String(index);
-        spread.style.transform = 'rotateY(-180deg)';
-        spread.style.transformOrigin = 'right center';
+        spread.style.transform = this._getRotation(this._getTurnedAngle());
+        spread.style.transformOrigin = origin;
       } else {
         spread.style.display = 'flex';
         spread.style.zIndex = String(this.pages.length - index);
-        spread.style.transform = 'rotateY(0deg)';
-        spread.style.transformOrigin = 'right center';
+        spread.style.transform = this._getRotation(0);
+        spread.style.transformOrigin = origin;
       }
     });
+    
+    this._renderRibbonEdge();
   }
   
   /**
@@ -704,27 +1327,40 @@ export class PageFlip {
    * @returns {boolean} - Success status
    */
   async nextPage() {
-    if (this.isFlipping || this.currentPage >= this.totalPages - 2) {
+    if (this.isFlipping || !this.canFlipNext()) {
       return false;
     }
     
     this.isFlipping = true;
-    const currentSpread = Math.floor(this.currentPage / 2);
+    
+    const requestedPage = this._getAdjacentPage('next');
+    const targetPage = await this._runBeforeFlip(requestedPage, 'next');
+    if (targetPage !== requestedPage) {
+      this.isFlipping = false;
+      return targetPage === null ? false : this._jumpToPage(targetPage);
+    }
+    
+    return this._turnNext(requestedPage);
+  }
+  
+  async _turnNext(requestedPage) {
+    const currentSpread = this._getSpreadIndex(this.currentPage);
+    const isHard = this._isHardFlip(this.currentPage, requestedPage);
     
     if (this.options.onFlipStart) {
-      this.options.onFlipStart(this.currentPage, 'next');
+      this.options.onFlipStart(this.currentPage, 'next', isHard);
     }
     
     const spread = this.pages[currentSpread];
     if (spread) {
-      spread.style.transformOrigin = 'right center';
+      spread.style.transformOrigin = this._getFlipOrigin();
       spread.style.zIndex = '100';
       
       // Show curl overlay during animation
       const curlOverlay = spread.querySelector('.simsek-curl-overlay');
       const shadowEl = spread.querySelector('.simsek-page-shadow');
       
-      if (curlOverlay) {
+      if (curlOverlay && !isHard) {
         curlOverlay.style.opacity = '0.6';
       }
       if (shadowEl) {
@@ -732,7 +1368,7 @@ export class PageFlip {
       }
       
       // Flip animation
-      await this._animateFlip(spread, 0, -180);
+      await this._animateFlip(spread, 0, this._getTurnedAngle(), isHard);
       
       // Reset overlays
       if (curlOverlay) {
@@ -742,7 +1378,7 @@ export class PageFlip {
         shadowEl.style.opacity = '0';
       }
       
-      this.currentPage += 2;
+      this.currentPage = requestedPage;
       this._updatePageVisibility();
     }
     
@@ -760,28 +1396,41 @@ export class PageFlip {
    * @returns {boolean} - Success status
    */
   async prevPage() {
-    if (this.isFlipping || this.currentPage <= 0) {
+    if (this.isFlipping || !this.canFlipPrev()) {
       return false;
     }
     
     this.isFlipping = true;
-    this.currentPage -= 2;
-    const currentSpread = Math.floor(this.currentPage / 2);
+    
+    const requestedPage = this._getAdjacentPage('prev');
+    const targetPage = await this._runBeforeFlip(requestedPage, 'prev');
+    if (targetPage !== requestedPage) {
+      this.isFlipping = false;
+      return targetPage === null ? false : this._jumpToPage(targetPage);
+    }
+    
+    return this._turnPrev(requestedPage);
+  }
+  
+  async _turnPrev(requestedPage) {
+    const isHard = this._isHardFlip(this.currentPage, requestedPage);
+    this.currentPage = requestedPage;
+    const currentSpread = this._getSpreadIndex(this.currentPage);
     
     if (this.options.onFlipStart) {
-      this.options.onFlipStart(this.currentPage, 'prev');
+      this.options.onFlipStart(this.currentPage, 'prev', isHard);
     }
     
     const spread = this.pages[currentSpread];
     if (spread) {
-      spread.style.transformOrigin = 'right center';
+      spread.style.transformOrigin = this._getFlipOrigin();
       spread.style.zIndex = '100';
       
       // Show curl overlay during animation
       const curlOverlay = spread.querySelector('.simsek-curl-overlay');
       const shadowEl = spread.querySelector('.simsek-page-shadow');
       
-      if (curlOverlay) {
+      if (curlOverlay && !isHard) {
         curlOverlay.style.opacity = '0.6';
       }
       if (shadowEl) {
@@ -789,7 +1438,7 @@ export class PageFlip {
       }
       
       // Flip animation (reverse)
-      await this._animateFlip(spread, -180, 0);
+      await this._animateFlip(spread, this._getTurnedAngle(), 0, isHard);
       
       // Reset overlays
       if (curlOverlay) {
@@ -814,28 +1463,28 @@ export class PageFlip {
   /**
    * Go to specific page
    * @param {number} pageNumber - Page number (0-indexed)
+   * @param {Object} [options]
+   * @param {boolean} [options.animate=true] - Turn the pages or show the target instantly
    */
-  async goToPage(pageNumber) {
+  async goToPage(pageNumber, options = {}) {
     if (this.isFlipping) return false;
     
-    pageNumber = Math.max(0, Math.min(pageNumber, this.totalPages - 1));
-    
-    // Round to even number
-    pageNumber = Math.floor(pageNumber / 2) * 2;
+    pageNumber = this._normalizePage(pageNumber);
     
     if (pageNumber === this.currentPage) return true;
     
-    this.currentPage = pageNumber;
-    this._updatePageVisibility();
+    this.isFlipping = true;
+    const targetPage = await this._runBeforeFlip(pageNumber, 'goto');
+    this.isFlipping = false;
     
-    if (this.options.onFlipEnd) {
-      this.options.onFlipEnd(this.currentPage, 'goto');
-    }
+    if (targetPage === null) return false;
     
-    return true;
+    return this._jumpToPage(targetPage, options.animate !== false);
   }
   
-  _animateFlip(element, fromAngle, toAngle) {
+  _animateFlip(element, fromAngle, toAngle, isHard = false) {
+    const { duration, easing } = this._getFlipTiming(isHard);
+    
     return new Promise((resolve) => {
       const handleTransitionEnd = (e) => {
         if (e.propertyName === 'transform') {
@@ -846,7 +1495,7 @@ export class PageFlip {
       
       // Set initial state
       element.style.transition = 'none';
-      element.style.transform = `rotateY(${fromAngle}deg)`;
+      element.style.transform = this._getRotation(fromAngle);
       
       // Force reflow
       element.offsetHeight;
@@ -855,14 +1504,14 @@ export class PageFlip {
       element.addEventListener('transitionend', handleTransitionEnd);
       
       // Animate with smooth easing
-      element.style.transition = `transform ${this.options.duration}ms cubic-bezier(0.22, 1, 0.36, 1)`;
-      element.style.transform = `rotateY(${toAngle}deg)`;
+      element.style.transition = `transform ${duration}ms ${easing}`;
+      element.style.transform = this._getRotation(toAngle);
       
       // Fallback timeout in case transitionend doesn't fire
       setTimeout(() => {
         element.removeEventListener('transitionend', handleTransitionEnd);
         resolve();
-      }, this.options.duration + 50);
+      }, duration + 50);
     });
   }
   
@@ -882,6 +1531,56 @@ export class PageFlip {
     return this.totalPages;
   }
   
+  /**
+   * Get the pages shown in the current spread
+   * @returns {number[]} - Page indices (0-indexed)
+   */
+  getVisiblePages() {
+    const spread = this.spreadLayout[this._getSpreadIndex(this.currentPage)];
+    return spread ? spread.slice() : [];
+  }
+  
+  /**
+   * Check if there is a spread after the current one
+   * @returns {boolean}
+   */
+  canFlipNext() {
+    return this._getSpreadIndex(this.currentPage) < this.spreadLayout.length - 1;
+  }
+  
+  /**
+   * Check if there is a spread before the current one
+   * @returns {boolean}
+   */
+  canFlipPrev() {
+    return this._getSpreadIndex(this.currentPage) > 0;
+  }
+  
+  /**
+   * Set display mode
+   * @param {string} mode - 'single', 'double' or 'auto'
+   */
+  setDisplayMode(mode) {
+    this.options.display = mode;
+    
+    if (mode === 'auto') {
+      this._setupDisplayObserver();
+    } else if (this.resizeObserver) {
+      this.resizeObserver.disconnect();
+      this.resizeObserver = null;
+    }
+    
+    this._applyDisplayMode();
+  }
+  
+  /**
+   * Get the active display mode
+   * @returns {string} - 'single' or 'double'
+   */
+  getDisplayMode() {
+    return this.displayMode;
+  }
+  
   /**
    * Check if flip animation is in progress
    * @returns {boolean}
@@ -909,11 +1608,18 @@ export class PageFlip {
       cancelAnimationFrame(this.animationFrame);
     }
     
+    if (this.resizeObserver) {
+      this.resizeObserver.disconnect();
+      this.resizeObserver = null;
+    }
+    clearTimeout(this._displayModeTimer);
+    
     // Clear page references to allow garbage collection
     this.pages.forEach(spread => {
       spread._cornerHintListeners = null;
     });
     this.pages = [];
+    this.pageContents = [];
     
     // Remove book element from DOM
     if (this.bookElement) {
@@ -0,0 +1,192 @@
+/**
+ * PasswordPrompt - PDF Password Dialog Module
+ * Şifreli PDF'ler için kitabın içinde açılan şifre penceresi
+ *
+ * ask() her çağrıda pencereyi açar ve girilen şifreyle, vazgeçilirse
+ * null ile çözülür. Yanlış şifrede pencere uyarıyla yeniden açılır.
+ */
+export class PasswordPrompt {
+  constructor(container, options = {}) {
+    this.container = container;
+    this.options = {
+      title: options.title || 'Password required',
+      ...options
+    };
+    
+    this.overlay = null;
+    this.input = null;
+    this.messageElement = null;
+    this.resolve = null;
+  }
+  
+  /**
+   * Şifre iste
+   * @param {string} [reason='required'] - 'required' veya 'incorrect' (önceki şifre yanlıştı)
+   * @returns {Promise<string|null>} - Girilen şifre, vazgeçildiyse null
+   */
+  ask(reason = 'required') {
+    // Önceki soru yanıtsız kaldıysa vazgeçilmiş sayılır
+    this._settle(null);
+    this._create();
+    
+    const incorrect = reason === 'incorrect';
+    this.messageElement.textContent = incorrect
+      ? 'Incorrect password, please try again.'
+      : 'This document is protected. Enter its password to open it.';
+    this.messageElement.classList.toggle('simsek-password-error', incorrect);
+    this.input.setAttribute('aria-invalid', String(incorrect));
+    this.input.value = '';
+    this.input.focus();
+    
+    return new Promise((resolve) => {
+      this.resolve = resolve;
+    });
+  }
+  
+  _create() {
+    this.overlay = document.createElement('div');
+    this.overlay.className = 'simsek-password-overlay';
+    this.overlay.style.cssText = `
+      position: absolute;
+      top: 0;
+      left: 0;
+      width: 100%;
+      height: 100%;
+      display: flex;
+      align-items: center;
+      justify-content: center;
+      background: rgba(0,0,0,0.5);
+      z-index: 1002;
+    `;
+    
+    const form = document.createElement('form');
+    form.className = 'simsek-password-dialog';
+    form.setAttribute('role', 'dialog');
+    form.setAttribute('aria-modal', 'true');
+    form.setAttribute('aria-label', this.options.title);
+    form.style.cssText = `
+      width: 300px;
+      max-width: calc(100% - 40px);
+      padding: 20px;
+      background: var(--simsek-panel-bg, #fff);
+      color: var(--simsek-text-color, #333);
+      border-radius: 8px;
+      box-shadow: 0 10px 30px rgba(0,0,0,0.3);
+      display: flex;
+      flex-direction: column;
+      gap: 12px;
+      font-size: 14px;
+    `;
+    
+    const title = document.createElement('div');
+    title.className = 'simsek-password-title';
+    title.style.cssText = 'font-weight: bold; font-size: 16px;';
+    title.textContent = `🔒 ${this.options.title}`;
+    
+    this.messageElement = document.createElement('div');
+    this.messageElement.className = 'simsek-password-message';
+    this.messageElement.setAttribute('aria-live', 'assertive');
+    
+    this.input = document.createElement('input');
+    this.input.type = 'password';
+    this.input.className = 'simsek-password-input';
+    this.input.autocomplete = 'current-password';
+    this.input.setAttribute('aria-label', 'Password');
+    this.input.style.cssText = `
+      padding: 8px;
+      border: 1px solid var(--simsek-border-color, #ddd);
+      border-radius: 4px;
+      font-size: 14px;
+    `;
+    
+    const actions = document.createElement('div');
+    actions.style.cssText = 'display: flex; justify-content: flex-end; gap: 8px;';
+    
+    const cancelBtn = this._createButton('Cancel', 'button');
+    cancelBtn.classList.add('simsek-password-cancel');
+    cancelBtn.addEventListener('click', () => this._settle(null));
+    
+    const unlockBtn = this._createButton('Unlock', 'submit');
+    unlockBtn.classList.add('simsek-password-unlock');
+    unlockBtn.style.background = 'var(--simsek-primary, #007bff)';
+    unlockBtn.style.borderColor = 'var(--simsek-primary, #007bff)';
+    unlockBtn.style.color = '#fff';
+    
+    actions.appendChild(cancelBtn);
+    actions.appendChild(unlockBtn);
+    
+    form.appendChild(title);
+    form.appendChild(this.messageElement);
+    form.appendChild(this.input);
+    form.appendChild(actions);
+    
+    form.addEventListener('submit', (e) => {
+      e.preventDefault();
+      this._settle(this.input.value);
+    });
+    
+    // Yazarken sayfa çevirme kısayolları çalışmasın, Escape vazgeçer
+    form.addEventListener('keydown', (e) => {
+      e.stopPropagation();
+      if (e.key === 'Escape') this._settle(null);
+    });
+    
+    this.overlay.appendChild(form);
+    this.container.appendChild(this.overlay);
+  }
+  
+  _createButton(text, type) {
+    const btn = document.createElement('button');
+    btn.type = type;
+    btn.textContent = text;
+    btn.style.cssText = `
+      padding: 6px 14px;
+      border: 1px solid var(--simsek-border-color, #ddd);
+      border-radius: 4px;
+      background: none;
+      color: var(--simsek-text-color, #333);
+      font-size: 14px;
+      cursor: pointer;
+    `;
+    return btn;
+  }
+  
+  _settle(password) {
+    const resolve = this.resolve;
+    this.resolve = null;
+    
+    this._remove();
+    if (resolve) resolve(password);
+  }
+  
+  _remove() {
+    if (this.overlay) {
+      this.overlay.remove();
+      this.overlay = null;
+    }
+    this.input = null;
+    this.messageElement = null;
+  }
+  
+  /**
+   * Pencere açık mı
+   * @returns {boolean}
+   */
+  isOpen() {
+    return this.resolve !== null;
+  }
+  
+  /**
+   * Pencereyi kapat, bekleyen soru vazgeçilmiş sayılır
+   */
+  close() {
+    this._settle(null);
+  }
+  
+  /**
+   * Kaynakları temizle
+   */
+  destroy() {
+    this.close();
+  }
+}
@@ -2,25 +2,47 @@
  * PDFLoader - PDF Loading and Display Module
  * Integration with PDF.js for rendering PDF documents
  */
+import { CanvasCache } from './canvas-cache.js';
+
 export class PDFLoader {
   constructor(options = {}) {
     this.options = {
       workerSrc: options.workerSrc || 'https://cdnjs.cloudflare.com/ajax/libs/pdf.js/3.11.174/pdf.worker.min.js',
       scale: options.scale || 1.5,
+      // Render önbelleği bütçesi, bkz. CanvasCache
+      cacheMaxBytes: options.cacheMaxBytes !== undefined ? options.cacheMaxBytes : 128 * 1024 * 1024,
+      cacheMaxPixels: options.cacheMaxPixels !== undefined ? options.cacheMaxPixels : null,
+      onCacheEvict: options.onCacheEvict || null,
       ...options
     };
     
     this.pdfDocument = null;
-    this.pageCache = new Map();
+    this.pageCache = new CanvasCache({
+      maxBytes: this.options.cacheMaxBytes,
+      maxPixels: this.options.cacheMaxPixels,
+      onEvict: (pageNumber, canvas) => {
+        if (this.options.onCacheEvict) {
+          this.options.onCacheEvict(pageNumber, canvas);
+        }
+      }
+    });
+    this.textCache = new Map();
     this.isLoading = false;
   }
   
   /**
    * PDF dosyasını yükle
-   * @param {string|ArrayBuffer} source - PDF URL veya ArrayBuffer
+   * @param {string|ArrayBuffer|Uint8Array|Object} source - PDF URL, veri veya
+   *   { url, data, headers, withCredentials } (bkz. resolvePdfSource)
+   * @param {Object} [options]
+   * @param {Function} [options.onProgress] - (loaded, total) indirilen bayt; total bilinmiyorsa null
+   * @param {string} [options.password] - Şifreli PDF'in şifresi
+   * @param {Function} [options.onPassword] - async (reason) => şifre | null; reason 'required'
+   *   veya 'incorrect'. null dönerse yükleme code'u PDF_PASSWORD_CANCELLED olan hatayla biter.
+   *   Verilmezse şifre gereken PDF PDF_PASSWORD_REQUIRED / PDF_PASSWORD_INCORRECT hatası verir.
    * @returns {Promise<Object>} - PDF metadata
    */
-  async load(source) {
+  async load(source, options = {}) {
     if (this.isLoading) {
       throw new Error('A PDF is already being loaded');
     }
@@ -37,8 +59,48 @@ export class PDFLoader {
       pdfjsLib.GlobalWorkerOptions.workerSrc = this.options.workerSrc;
       
       // PDF'i yükle
-      const loadingTask = pdfjsLib.getDocument(source);
-      this.pdfDocument = await loadingTask.promise;
+      const params = this._getDocumentParams(source);
+      if (options.password) params.password = options.password;
+      
+      const loadingTask = pdfjsLib.getDocument(params);
+      if (options.onProgress) {
+        loadingTask.onProgress = ({ loaded, total }) => options.onProgress(loaded, total || null);
+      }
+      
+      // Şifre sorusu reddedilince yükleme bu sözle biter; PDF.js sürümüne göre
+      // iptal edilen görevin kendi sözü reddedilmeyebilir veya geç reddedilir
+      let rejectPassword;
+      const passwordFailure = new Promise((resolve, reject) => {
+        rejectPassword = reject;
+      });
+      const failPassword = (error) => {
+        rejectPassword(error);
+        Promise.resolve().then(() => loadingTask.destroy()).catch(() => {});
+      };
+      
+      loadingTask.onPassword = (updatePassword, response) => {
+        const incorrect = response === pdfjsLib.PasswordResponses.INCORRECT_PASSWORD;
+        
+        if (!options.onPassword) {
+          failPassword(incorrect
+            ? this._createPasswordError('Incorrect PDF password', 'PDF_PASSWORD_INCORRECT')
+            : this._createPasswordError('This PDF is password protected', 'PDF_PASSWORD_REQUIRED'));
+          return;
+        }
+        
+        Promise.resolve()
+          .then(() => options.onPassword(incorrect ? 'incorrect' : 'required'))
+          .then((password) => {
+            if (password === null || password === undefined) {
+              failPassword(this._createPasswordError('PDF password entry was cancelled', 'PDF_PASSWORD_CANCELLED'));
+            } else {
+              updatePassword(String(password));
+            }
+          }, failPassword);
+      };
+      
+      // race iki sözü de dinler, sonradan reddedilen görev sözü yakalanmamış kalmaz
+      this.pdfDocument = await Promise.race([loadingTask.promise, passwordFailure]);
       
       // Metadata al
       const metadata = await this.getMetadata();
@@ -52,6 +114,26 @@ export class PDFLoader {
     }
   }
   
+  _createPasswordError(message, code) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+  }
+  
+  _getDocumentParams(source) {
+    if (typeof source === 'string') {
+      return { url: source };
+    }
+    if (source instanceof ArrayBuffer || ArrayBuffer.isView(source)) {
+      return { data: source };
+    }
+    
+    const params = source.url ? { url: source.url } : { data: source.data };
+    if (source.headers) params.httpHeaders = source.headers;
+    if (source.withCredentials) params.withCredentials = true;
+    return params;
+  }
+  
   /**
    * PDF metadata al
    * @returns {Promise<Object>}
@@ -77,8 +159,13 @@ export class PDFLoader {
   
   /**
    * Belirli bir sayfayı canvas olarak render et
+   * Önbellekten gelen sayfa kopya olarak döner; aynı canvas iki yerde gösterilmez.
    * @param {number} pageNumber - Sayfa numarası (1-indexed)
    * @param {Object} options - Render seçenekleri
+   * @param {number} [options.scale] - Render ölçeği
+   * @param {Object} [options.region] - Yalnızca bu bölgeyi render et, { x, y, width, height } sayfaya göre 0-1
+   * @param {boolean} [options.cache=true] - Sonucu önbelleğe al; bölge render'ları önbelleğe alınmaz
+   * @param {AbortSignal} [options.signal] - Render'ı iptal etmek için; iptalde söz reddedilir
    * @returns {Promise<HTMLCanvasElement>}
    */
   async renderPage(pageNumber, options = {}) {
@@ -91,21 +178,43 @@ export class PDFLoader {
     }
     
     const scale = options.scale || this.options.scale;
+    const { region } = options;
+    const useCache = options.cache !== false && !region;
     const cacheKey = `${pageNumber}-${scale}`;
     
     // Cache kontrolü
-    if (this.pageCache.has(cacheKey)) {
-      return this.pageCache.get(cacheKey).cloneNode(true);
+    const cached = useCache ? this.pageCache.get(cacheKey) : null;
+    if (cached) {
+      return this._copyCanvas(cached);
     }
     
+    const { signal } = options;
+    const throwIfAborted = () => {
+      if (signal && signal.aborted) {
+        throw new Error(`Rendering of page ${pageNumber} was cancelled`);
+      }
+    };
+    
+    throwIfAborted();
     const page = await this.pdfDocument.getPage(pageNumber);
+    throwIfAborted();
     const viewport = page.getViewport({ scale });
     
+    // Bölge, tam piksellere yuvarlanmış viewport dikdörtgenidir
+    const area = region
+      ? {
+          x: Math.floor(region.x * viewport.width),
+          y: Math.floor(region.y * viewport.height),
+          width: Math.ceil(region.width * viewport.width),
+          height: Math.ceil(region.height * viewport.height)
+        }
+      : null;
+    
     const canvas = document.createElement('canvas');
     const context = canvas.getContext('2d');
     
-    canvas.width = viewport.width;
-    canvas.height = viewport.height;
+    canvas.width = area ? area.width : viewport.width;
+    canvas.height = area ? area.height : viewport.height;
     canvas.style.width = '100%';
     canvas.style.height = '100%';
     
@@ -113,15 +222,61 @@ export class PDFLoader {
       canvasContext: context,
       viewport: viewport
     };
+    if (area) {
+      // Sayfa, bölgenin sol üst köşesi canvas'ın başlangıcına gelecek şekilde kaydırılır
+      renderContext.transform = [1, 0, 0, 1, -area.x, -area.y];
+    }
     
-    await page.render(renderContext).promise;
+    const renderTask = page.render(renderContext);
+    const cancel = () => renderTask.cancel();
+    if (signal) {
+      signal.addEventListener('abort', cancel);
+    }
+    
+    try {
+      await renderTask.promise;
+    } finally {
+      if (signal) {
+        signal.removeEventListener('abort', cancel);
+      }
+    }
     
     // Cache'e ekle
-    this.pageCache.set(cacheKey, canvas);
+    if (useCache) {
+      this.pageCache.set(cacheKey, canvas, pageNumber);
+    }
     
     return canvas;
   }
   
+  _copyCanvas(source) {
+    // cloneNode çizimi kopyalamaz, pikseller drawImage ile aktarılır
+    const canvas = document.createElement('canvas');
+    canvas.width = source.width;
+    canvas.height = source.height;
+    canvas.style.width = source.style.width;
+    canvas.style.height = source.style.height;
+    canvas.getContext('2d').drawImage(source, 0, 0);
+    return canvas;
+  }
+  
+  /**
+   * Okuyucunun bulunduğu sayfayı bildir
+   * Önbellek dolunca bu sayfadan uzak olanlar önce atılır.
+   * @param {number} pageNumber - Sayfa numarası (1-indexed)
+   */
+  setCurrentPage(pageNumber) {
+    this.pageCache.setCurrentPage(pageNumber);
+  }
+  
+  /**
+   * Render önbelleği istatistikleri
+   * @returns {Object} - { entries, pixels, bytes, maxPixels, maxBytes, hits, misses, evictions }
+   */
+  getCacheStats() {
+    return this.pageCache.getStats();
+  }
+  
   /**
    * Tüm sayfaları canvas olarak render et
    * @param {Object} options - Render seçenekleri
@@ -166,6 +321,113 @@ export class PDFLoader {
     return this.renderPage(pageNumber, { scale });
   }
   
+  /**
+   * Sayfanın metnini çıkar
+   * Sonuç önbelleğe alınır; aynı sayfa için eşzamanlı çağrılar tek çıkarımı paylaşır.
+   * @param {number} pageNumber - Sayfa numarası (1-indexed)
+   * @returns {Promise<Object>} - { pageNumber, text, items, viewport }
+   *   items: { str, start, transform, width, height } — start, öğenin text içindeki konumu
+   */
+  async getPageText(pageNumber) {
+    if (!this.pdfDocument) {
+      throw new Error('No PDF document loaded');
+    }
+    
+    if (pageNumber < 1 || pageNumber > this.pdfDocument.numPages) {
+      throw new Error(`Invalid page number: ${pageNumber}`);
+    }
+    
+    if (!this.textCache.has(pageNumber)) {
+      const extraction = this._extractPageText(pageNumber);
+      this.textCache.set(pageNumber, extraction);
+      
+      // Başarısız çıkarım sonraki çağrıda yeniden denensin
+      extraction.catch(() => this.textCache.delete(pageNumber));
+    }
+    
+    return this.textCache.get(pageNumber);
+  }
+  
+  async _extractPageText(pageNumber) {
+    const page = await this.pdfDocument.getPage(pageNumber);
+    const content = await page.getTextContent();
+    const viewport = page.getViewport({ scale: 1 });
+    
+    let text = '';
+    const items = [];
+    
+    content.items.forEach((item) => {
+      // İşaretli içerik blokları metin taşımaz
+      if (typeof item.str !== 'string') return;
+      
+      items.push({
+        str: item.str,
+        start: text.length,
+        transform: item.transform,
+        width: item.width,
+        height: item.height
+      });
+      
+      text += item.str;
+      if (item.hasEOL) text += '\n';
+    });
+    
+    return { pageNumber, text, items, viewport };
+  }
+  
+  /**
+   * PDF içindekiler ağacını al
+   * Hedefler sayfa numarasına çözülür; çözülemeyen (ör. dış bağlantı) öğelerin
+   * sayfası null olur.
+   * @returns {Promise<Array>} - { title, page (0-indexed), items } ağacı, yoksa boş dizi
+   */
+  async getOutline() {
+    if (!this.pdfDocument) {
+      throw new Error('No PDF document loaded');
+    }
+    
+    const outline = await this.pdfDocument.getOutline();
+    if (!outline) return [];
+    
+    return this._resolveOutline(outline);
+  }
+  
+  async _resolveOutline(items) {
+    return Promise.all(items.map(async (item) => ({
+      title: item.title,
+      page: await this._resolveDestination(item.dest),
+      items: item.items && item.items.length > 0
+        ? await this._resolveOutline(item.items)
+        : []
+    })));
+  }
+  
+  async _resolveDestination(dest) {
+    if (!dest) return null;
+    
+    try {
+      // Adlandırılmış hedefler önce açık hedef dizisine çevrilir
+      const explicitDest = typeof dest === 'string'
+        ? await this.pdfDocument.getDestination(dest)
+        : dest;
+      if (!Array.isArray(explicitDest)) return null;
+      
+      const target = explicitDest[0];
+      
+      // Sayfa referansı ({ num, gen }) veya doğrudan sayfa indeksi
+      if (target && typeof target === 'object') {
+        return await this.pdfDocument.getPageIndex(target);
+      }
+      if (Number.isInteger(target) && target >= 0 && target < this.pdfDocument.numPages) {
+        return target;
+      }
+    } catch (error) {
+      console.warn('Failed to resolve PDF outline destination:', error);
+    }
+    
+    return null;
+  }
+  
   /**
    * Sayfa sayısını al
    * @returns {number}
@@ -183,5 +445,6 @@ export class PDFLoader {
       this.pdfDocument = null;
     }
     this.pageCache.clear();
+    this.textCache.clear();
   }
 }
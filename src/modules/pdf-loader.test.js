@@ -0,0 +1,106 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { PDFLoader } from './pdf-loader.js';
+
+// Şifre soran ve destroy() sonrası sözünü hiç reddetmeyen sahte PDF.js
+function installPdfjs({ password = 'secret', rejectOnDestroy = false } = {}) {
+  const tasks = [];
+  
+  globalThis.pdfjsLib = {
+    GlobalWorkerOptions: {},
+    PasswordResponses: { NEED_PASSWORD: 1, INCORRECT_PASSWORD: 2 },
+    getDocument() {
+      let resolveTask;
+      let rejectTask;
+      const task = {
+        destroyed: false,
+        promise: new Promise((resolve, reject) => {
+          resolveTask = resolve;
+          rejectTask = reject;
+        }),
+        destroy() {
+          task.destroyed = true;
+          if (rejectOnDestroy) rejectTask(new Error('Worker was destroyed'));
+          return Promise.resolve();
+        }
+      };
+      const ask = (response) => task.onPassword((value) => {
+        if (value === password) {
+          resolveTask({ numPages: 3, getMetadata: async () => ({ info: {} }) });
+        } else {
+          ask(globalThis.pdfjsLib.PasswordResponses.INCORRECT_PASSWORD);
+        }
+      }, response);
+      
+      setTimeout(() => ask(globalThis.pdfjsLib.PasswordResponses.NEED_PASSWORD), 0);
+      tasks.push(task);
+      return task;
+    }
+  };
+  
+  return tasks;
+}
+
+afterEach(() => {
+  delete globalThis.pdfjsLib;
+});
+
+test('asks again after a wrong password and opens with the right one', async () => {
+  installPdfjs();
+  const reasons = [];
+  const answers = ['wrong', 'secret'];
+  const loader = new PDFLoader();
+  
+  await loader.load('book.pdf', {
+    onPassword: async (reason) => {
+      reasons.push(reason);
+      return answers.shift();
+    }
+  });
+  
+  assert.deepEqual(reasons, ['required', 'incorrect']);
+  assert.equal(loader.getNumPages(), 3);
+});
+
+test('cancelling the password rejects even if PDF.js never settles the task', async () => {
+  const tasks = installPdfjs();
+  const loader = new PDFLoader();
+  
+  await assert.rejects(
+    loader.load('book.pdf', { onPassword: async () => null }),
+    { code: 'PDF_PASSWORD_CANCELLED' }
+  );
+  assert.equal(tasks[0].destroyed, true);
+  assert.equal(loader.isLoading, false);
+});
+
+test('cancelling reports the cancel, not the rejection of the destroyed task', async () => {
+  installPdfjs({ rejectOnDestroy: true });
+  const loader = new PDFLoader();
+  
+  await assert.rejects(
+    loader.load('book.pdf', { onPassword: async () => null }),
+    { code: 'PDF_PASSWORD_CANCELLED' }
+  );
+});
+
+test('a failing password hook ends the load with its error', async () => {
+  installPdfjs();
+  const loader = new PDFLoader();
+  
+  await assert.rejects(
+    loader.load('book.pdf', {
+      onPassword: async () => {
+        throw new Error('prompt crashed');
+      }
+    }),
+    /prompt crashed/
+  );
+});
+
+test('without a password hook the load fails with PDF_PASSWORD_REQUIRED', async () => {
+  installPdfjs();
+  const loader = new PDFLoader();
+  
+  await assert.rejects(loader.load('book.pdf'), { code: 'PDF_PASSWORD_REQUIRED' });
+});
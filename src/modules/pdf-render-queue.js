@@ -0,0 +1,168 @@
+/**
+ * PDFRenderQueue - On-Demand PDF Page Rendering
+ * Sayfaları öncelik sırasıyla, tek tek ve iptal edilebilir şekilde render eder
+ *
+ * Okuyucu sayfa değiştirdikçe setTargets ile yeni hedef listesi verilir;
+ * listeden düşen bekleyen işler atılır, çalışan render iptal edilir.
+ */
+export class PDFRenderQueue {
+  constructor(pdfLoader, options = {}) {
+    this.pdfLoader = pdfLoader;
+    this.options = {
+      scale: options.scale || 1.5,
+      onRender: options.onRender || null,
+      onError: options.onError || null,
+      ...options
+    };
+    
+    this.rendered = new Set();
+    // Son setTargets listesi, öncelik sırasıyla
+    this.targets = [];
+    // Bekleyen sayfa numaraları, öncelik sırasıyla
+    this.queue = [];
+    // Çalışan iş: { pageNumber, controller }
+    this.active = null;
+    // pageNumber → render sonucunu bekleyen resolve fonksiyonları
+    this.waiters = new Map();
+  }
+  
+  /**
+   * Render edilecek sayfaları öncelik sırasıyla ayarla
+   * @param {number[]} pageNumbers - PDF sayfa numaraları (1-indexed), önce gelen önce render edilir
+   */
+  setTargets(pageNumbers) {
+    const targets = Array.from(new Set(pageNumbers));
+    const activePage = this.active ? this.active.pageNumber : null;
+    this.targets = targets;
+    
+    this.queue = targets.filter((pageNumber) =>
+      !this.rendered.has(pageNumber) && pageNumber !== activePage);
+    
+    // Okuyucu uzaklaştıysa çalışan render boşa harcanmasın
+    if (this.active && !targets.includes(activePage)) {
+      this.active.controller.abort();
+    }
+    
+    // Hedeften düşen sayfaları bekleyenler boşta kalmasın
+    this.waiters.forEach((_, pageNumber) => {
+      if (!targets.includes(pageNumber)) {
+        this._resolveWaiters(pageNumber, false);
+      }
+    });
+    
+    this._next();
+  }
+  
+  /**
+   * Sayfalar render edilince çözülen söz
+   * Sayfa hedeften düşerse veya render başarısız olursa da çözülür.
+   * @param {number[]} pageNumbers - PDF sayfa numaraları (1-indexed)
+   * @returns {Promise<boolean>} - Hepsi render edildi mi
+   */
+  whenRendered(pageNumbers) {
+    return Promise.all(pageNumbers.map((pageNumber) => {
+      if (this.rendered.has(pageNumber)) return true;
+      
+      return new Promise((resolve) => {
+        if (!this.waiters.has(pageNumber)) {
+          this.waiters.set(pageNumber, []);
+        }
+        this.waiters.get(pageNumber).push(resolve);
+      });
+    })).then((results) => results.every(Boolean));
+  }
+  
+  _resolveWaiters(pageNumber, success) {
+    const waiters = this.waiters.get(pageNumber);
+    if (!waiters) return;
+    
+    this.waiters.delete(pageNumber);
+    waiters.forEach((resolve) => resolve(success));
+  }
+  
+  async _next() {
+    // PDF.js tek worker kullanır, aynı anda tek render yeterli
+    if (this.active || !this.pdfLoader) return;
+    
+    const pageNumber = this.queue.shift();
+    if (pageNumber === undefined) return;
+    
+    const controller = new AbortController();
+    this.active = { pageNumber, controller };
+    
+    try {
+      const canvas = await this.pdfLoader.renderPage(pageNumber, {
+        scale: this.options.scale,
+        signal: controller.signal
+      });
+      
+      // Tamamlanmış render iptal istense de kullanılır
+      if (this.pdfLoader) {
+        this.rendered.add(pageNumber);
+        if (this.options.onRender) {
+          this.options.onRender(pageNumber, canvas);
+        }
+        this._resolveWaiters(pageNumber, true);
+      }
+    } catch (error) {
+      // İptal edilen render hata değildir; iptalden sonra yeniden hedef olduysa sıraya döner
+      if (controller.signal.aborted) {
+        if (this.pdfLoader && this.targets.includes(pageNumber)) {
+          this._requeue(pageNumber);
+        } else {
+          this._resolveWaiters(pageNumber, false);
+        }
+      } else {
+        console.warn(`Failed to render PDF page ${pageNumber}:`, error);
+        if (this.options.onError) {
+          this.options.onError(error, pageNumber);
+        }
+        this._resolveWaiters(pageNumber, false);
+      }
+    } finally {
+      this.active = null;
+      this._next();
+    }
+  }
+  
+  _requeue(pageNumber) {
+    if (this.queue.includes(pageNumber)) return;
+    
+    const rank = (page) => this.targets.indexOf(page);
+    this.queue.push(pageNumber);
+    this.queue.sort((a, b) => rank(a) - rank(b));
+  }
+  
+  /**
+   * Sayfa render edildi mi
+   * @param {number} pageNumber - PDF sayfa numarası (1-indexed)
+   * @returns {boolean}
+   */
+  isRendered(pageNumber) {
+    return this.rendered.has(pageNumber);
+  }
+  
+  /**
+   * Sayfayı render edilmemiş say
+   * Canvas'ı gösterimden kaldırılan sayfa tekrar hedef olunca yeniden render edilir.
+   * @param {number} pageNumber - PDF sayfa numarası (1-indexed)
+   */
+  forget(pageNumber) {
+    this.rendered.delete(pageNumber);
+  }
+  
+  /**
+   * Kaynakları temizle, çalışan render'ı iptal et
+   */
+  destroy() {
+    if (this.active) {
+      this.active.controller.abort();
+    }
+    
+    this.queue = [];
+    this.targets = [];
+    this.waiters.forEach((_, pageNumber) => this._resolveWaiters(pageNumber, false));
+    this.rendered.clear();
+    this.pdfLoader = null;
+  }
+}
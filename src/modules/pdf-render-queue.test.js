@@ -0,0 +1,120 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { PDFRenderQueue } from './pdf-render-queue.js';
+
+// Render'ları testin elle bitirdiği sahte PDFLoader
+function createLoader() {
+  const loader = {
+    calls: [],
+    pending: new Map(),
+    renderPage(pageNumber, { signal }) {
+      loader.calls.push(pageNumber);
+      return new Promise((resolve, reject) => {
+        loader.pending.set(pageNumber, () => resolve({ pageNumber }));
+        signal.addEventListener('abort', () => reject(new Error('cancelled')));
+      });
+    },
+    finish(pageNumber) {
+      const resolve = loader.pending.get(pageNumber);
+      loader.pending.delete(pageNumber);
+      resolve();
+    }
+  };
+  return loader;
+}
+
+const tick = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+test('renders targets one at a time in priority order', async () => {
+  const loader = createLoader();
+  const rendered = [];
+  const queue = new PDFRenderQueue(loader, { onRender: (pageNumber) => rendered.push(pageNumber) });
+  
+  queue.setTargets([3, 4, 2]);
+  assert.deepEqual(loader.calls, [3]);
+  
+  loader.finish(3);
+  await tick();
+  loader.finish(4);
+  await tick();
+  loader.finish(2);
+  await tick();
+  
+  assert.deepEqual(rendered, [3, 4, 2]);
+  assert.equal(queue.isRendered(4), true);
+});
+
+test('rendered pages are not rendered again until forgotten', async () => {
+  const loader = createLoader();
+  const queue = new PDFRenderQueue(loader);
+  
+  queue.setTargets([1]);
+  loader.finish(1);
+  await tick();
+  
+  queue.setTargets([1]);
+  assert.deepEqual(loader.calls, [1]);
+  
+  queue.forget(1);
+  queue.setTargets([1]);
+  assert.deepEqual(loader.calls, [1, 1]);
+});
+
+test('a page dropped from the targets is aborted and its waiters resolve false', async () => {
+  const loader = createLoader();
+  const queue = new PDFRenderQueue(loader);
+  
+  queue.setTargets([5]);
+  const done = queue.whenRendered([5]);
+  queue.setTargets([9]);
+  
+  assert.equal(await done, false);
+  await tick();
+  assert.deepEqual(loader.calls, [5, 9]);
+});
+
+test('an aborted page that becomes a target again is rendered after all', async () => {
+  const loader = createLoader();
+  const rendered = [];
+  const queue = new PDFRenderQueue(loader, { onRender: (pageNumber) => rendered.push(pageNumber) });
+  
+  queue.setTargets([5]);
+  // Okuyucu uzaklaşıp iptal tamamlanmadan geri döner
+  queue.setTargets([9]);
+  queue.setTargets([5, 9]);
+  const done = queue.whenRendered([5]);
+  
+  await tick();
+  assert.deepEqual(loader.calls, [5, 5]);
+  
+  loader.finish(5);
+  assert.equal(await done, true);
+  assert.deepEqual(rendered, [5]);
+});
+
+test('failed renders report the error and resolve their waiters false', async (t) => {
+  t.mock.method(console, 'warn', () => {});
+  const errors = [];
+  const loader = {
+    renderPage: async () => {
+      throw new Error('broken page');
+    }
+  };
+  const queue = new PDFRenderQueue(loader, { onError: (error, pageNumber) => errors.push(pageNumber) });
+  
+  queue.setTargets([2]);
+  
+  assert.equal(await queue.whenRendered([2]), false);
+  assert.deepEqual(errors, [2]);
+});
+
+test('destroy resolves every waiter', async () => {
+  const loader = createLoader();
+  const queue = new PDFRenderQueue(loader);
+  
+  queue.setTargets([1, 2]);
+  const done = queue.whenRendered([1, 2]);
+  queue.destroy();
+  
+  assert.equal(await done, false);
+});
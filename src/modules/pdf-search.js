@@ -0,0 +1,225 @@
+/**
+ * PDFSearch - PDF Full-Text Search Module
+ * PDFLoader'ın çıkardığı sayfa metinlerinde arama ve eşleşme vurgulama
+ *
+ * Eşleşme konumları sayfaya göre oransal (0-1) dikdörtgenlerdir; böylece
+ * vurgular canvas hangi boyutta gösterilirse gösterilsin üstüne oturur.
+ */
+export class PDFSearch {
+  constructor(pdfLoader, options = {}) {
+    this.pdfLoader = pdfLoader;
+    this.options = {
+      snippetLength: options.snippetLength || 40,
+      ...options
+    };
+  }
+  
+  /**
+   * Arama ifadesinden düzenli ifade oluştur
+   * Sorgudaki boşluklar satır sonları dahil her boşluk dizisiyle eşleşir.
+   * @param {string} query - Aranan metin
+   * @param {Object} [options]
+   * @param {boolean} [options.caseSensitive=false] - Büyük/küçük harf duyarlı
+   * @param {boolean} [options.wholeWord=false] - Yalnızca tam kelimeler
+   * @returns {RegExp|null} - Boş sorguda null
+   */
+  static createMatcher(query, options = {}) {
+    const terms = String(query ?? '').trim().split(/\s+/).filter(Boolean);
+    if (terms.length === 0) return null;
+    
+    let pattern = terms
+      .map((term) => term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+      .join('\\s+');
+    
+    if (options.wholeWord) {
+      pattern = `(?<![\\p{L}\\p{N}_])${pattern}(?![\\p{L}\\p{N}_])`;
+    }
+    
+    return new RegExp(pattern, options.caseSensitive ? 'gu' : 'giu');
+  }
+  
+  /**
+   * Belgede ara
+   * Sayfalar sırayla taranır, metinler PDFLoader'da önbelleğe alınır.
+   * @param {string} query - Aranan metin
+   * @param {Object} [options]
+   * @param {boolean} [options.caseSensitive=false] - Büyük/küçük harf duyarlı
+   * @param {boolean} [options.wholeWord=false] - Yalnızca tam kelimeler
+   * @param {AbortSignal} [options.signal] - Aramayı iptal etmek için
+   * @param {Function} [options.onPageResults] - (hits, pageNumber) her taranan sayfada
+   * @param {Function} [options.onProgress] - (current, total)
+   * @returns {Promise<Array|null>} - Eşleşmeler, iptal edildiyse null
+   */
+  async search(query, options = {}) {
+    const matcher = PDFSearch.createMatcher(query, options);
+    if (!matcher) return [];
+    
+    const { signal, onPageResults, onProgress } = options;
+    const numPages = this.pdfLoader.getNumPages();
+    const hits = [];
+    
+    for (let pageNumber = 1; pageNumber <= numPages; pageNumber++) {
+      if (signal && signal.aborted) return null;
+      
+      let pageHits = [];
+      try {
+        const pageText = await this.pdfLoader.getPageText(pageNumber);
+        pageHits = this._searchPage(pageText, matcher);
+      } catch (error) {
+        // Okunamayan sayfa aramanın geri kalanını engellemesin
+        console.warn(`Failed to search PDF page ${pageNumber}:`, error);
+      }
+      
+      if (signal && signal.aborted) return null;
+      
+      hits.push(...pageHits);
+      
+      if (onPageResults && pageHits.length > 0) {
+        onPageResults(pageHits, pageNumber);
+      }
+      if (onProgress) {
+        onProgress(pageNumber, numPages);
+      }
+    }
+    
+    return hits;
+  }
+  
+  _searchPage(pageText, matcher) {
+    const { text, pageNumber } = pageText;
+    const hits = [];
+    
+    matcher.lastIndex = 0;
+    let match;
+    while ((match = matcher.exec(text)) !== null) {
+      const start = match.index;
+      const end = start + match[0].length;
+      
+      hits.push({
+        pageNumber,
+        index: hits.length,
+        offset: start,
+        length: match[0].length,
+        text: match[0],
+        snippet: this._createSnippet(text, start, end),
+        rects: this._getMatchRects(pageText, start, end)
+      });
+      
+      // Boş eşleşmede sonsuz döngüye girme
+      if (match[0].length === 0) matcher.lastIndex++;
+    }
+    
+    return hits;
+  }
+  
+  _createSnippet(text, start, end) {
+    const length = this.options.snippetLength;
+    const from = Math.max(0, start - length);
+    const to = Math.min(text.length, end + length);
+    const clean = (value) => value.replace(/\s+/g, ' ');
+    
+    return {
+      before: (from > 0 ? '…' : '') + clean(text.slice(from, start)).trimStart(),
+      match: clean(text.slice(start, end)),
+      after: clean(text.slice(end, to)).trimEnd() + (to < text.length ? '…' : '')
+    };
+  }
+  
+  _getMatchRects(pageText, start, end) {
+    const { items, viewport } = pageText;
+    const rects = [];
+    
+    items.forEach((item) => {
+      const itemEnd = item.start + item.str.length;
+      if (item.str.length === 0 || itemEnd <= start || item.start >= end) return;
+      
+      // Öğe içindeki karakter aralığı, genişlik karakterlere eşit bölünür
+      const from = Math.max(start, item.start) - item.start;
+      const to = Math.min(end, itemEnd) - item.start;
+      const [, , c, d, x, y] = item.transform;
+      const charWidth = item.width / item.str.length;
+      const height = item.height || Math.hypot(c, d);
+      
+      // PDF koordinatları taban çizgisinden yukarı doğrudur, inen harfler için pay bırak
+      const [x1, y1, x2, y2] = viewport.convertToViewportRectangle([
+        x + from * charWidth,
+        y - height * 0.2,
+        x + to * charWidth,
+        y + height
+      ]);
+      
+      rects.push({
+        x: Math.min(x1, x2) / viewport.width,
+        y: Math.min(y1, y2) / viewport.height,
+        width: Math.abs(x2 - x1) / viewport.width,
+        height: Math.abs(y2 - y1) / viewport.height
+      });
+    });
+    
+    return rects;
+  }
+  
+  /**
+   * Eşleşmeleri sayfanın üstüne çiz
+   * @param {HTMLElement} host - Canvas'ı tam kaplayan, konumlandırılmış sayfa kabı
+   * @param {Array} hits - Bu sayfanın eşleşmeleri
+   * @param {Object} [activeHit] - Öne çıkarılacak eşleşme
+   */
+  renderHighlights(host, hits, activeHit = null) {
+    this.clearHighlights(host);
+    if (hits.length === 0) return;
+    
+    const layer = document.createElement('div');
+    layer.className = 'simsek-search-layer';
+    layer.style.cssText = `
+      position: absolute;
+      top: 0;
+      left: 0;
+      width: 100%;
+      height: 100%;
+      pointer-events: none;
+    `;
+    
+    hits.forEach((hit) => {
+      const isActive = hit === activeHit;
+      
+      hit.rects.forEach((rect) => {
+        const mark = document.createElement('div');
+        mark.className = isActive
+          ? 'simsek-search-highlight simsek-search-highlight-active'
+          : 'simsek-search-highlight';
+        mark.style.cssText = `
+          position: absolute;
+          left: ${rect.x * 100}%;
+          top: ${rect.y * 100}%;
+          width: ${rect.width * 100}%;
+          height: ${rect.height * 100}%;
+          background: ${isActive
+            ? 'var(--simsek-search-active-bg, rgba(255,140,0,0.5))'
+            : 'var(--simsek-search-highlight-bg, rgba(255,220,0,0.4))'};
+          border-radius: 2px;
+          mix-blend-mode: multiply;
+        `;
+        layer.appendChild(mark);
+      });
+    });
+    
+    host.appendChild(layer);
+  }
+  
+  /**
+   * Sayfadaki vurguları kaldır
+   * @param {HTMLElement} host - Sayfa kabı
+   */
+  clearHighlights(host) {
+    const layer = host.querySelector(':scope > .simsek-search-layer');
+    if (layer) layer.remove();
+  }
+  
+  /**
+   * Kaynakları temizle
+   */
+  destroy() {
+    this.pdfLoader = null;
+  }
+}
@@ -0,0 +1,184 @@
+/**
+ * PDF Sources
+ * SimsekBook'un pages seçeneğinden PDF kaynağını çıkarır
+ *
+ * Desteklenen biçimler:
+ *   'kitap.pdf', 'https://…/rapor.pdf?sig=…', 'data:application/pdf;base64,…'
+ *   ArrayBuffer, Uint8Array, Blob, File
+ *   { type: 'pdf', url | data | file, headers, withCredentials }
+ * Uzantısız URL'ler indirilir, Content-Type veya %PDF- imzasıyla tanınır.
+ * Sonuç PDFLoader.load'a verilebilen { url } veya { data } nesnesidir.
+ */
+
+// %PDF-
+const PDF_SIGNATURE = [0x25, 0x50, 0x44, 0x46, 0x2d];
+
+// Okuyucular imzayı dosyanın ilk 1024 baytında arar
+const SIGNATURE_WINDOW = 1024;
+
+/**
+ * Baytlar PDF imzası taşıyor mu
+ * @param {Uint8Array} bytes
+ * @returns {boolean}
+ */
+export function isPdfBytes(bytes) {
+  const end = Math.min(bytes.length, SIGNATURE_WINDOW) - PDF_SIGNATURE.length;
+  
+  for (let i = 0; i <= end; i++) {
+    if (PDF_SIGNATURE.every((byte, j) => bytes[i + j] === byte)) return true;
+  }
+  return false;
+}
+
+/**
+ * URL adından PDF olduğu anlaşılıyor mu (sorgu ve # kısmı yok sayılır)
+ * @param {string} url
+ * @returns {boolean}
+ */
+export function isPdfUrl(url) {
+  if (/^data:application\/pdf[;,]/i.test(url)) return true;
+  return /\.pdf$/i.test(url.split(/[?#]/)[0]);
+}
+
+/**
+ * pages seçeneğini PDF kaynağına çevir
+ * @param {*} pages - SimsekBook pages seçeneği
+ * @param {Object} [options]
+ * @param {Function} [options.onProgress] - (loaded, total) indirilen bayt; total bilinmiyorsa null
+ * @returns {Promise<Object|null>} - { url, headers, withCredentials } veya { data }; PDF değilse (resim dizisi) null
+ */
+export async function resolvePdfSource(pages, options = {}) {
+  if (!pages || Array.isArray(pages)) return null;
+  
+  if (typeof pages === 'string') {
+    if (isPdfUrl(pages)) return { url: pages };
+    
+    // Uzantısız adres: içerik indirilip tanınır, PDF.js aynı veriyi kullanır
+    return { data: await fetchPdf(pages, options) };
+  }
+  
+  if (isBinary(pages)) {
+    return { data: toPdfBytes(pages, 'The pages data') };
+  }
+  
+  if (isBlob(pages)) {
+    return { data: await readPdfBlob(pages) };
+  }
+  
+  if (pages.type === 'pdf') {
+    // Açıkça PDF denmiş kaynak koklanmaz
+    if (pages.url) {
+      return {
+        url: pages.url,
+        headers: pages.headers || null,
+        withCredentials: pages.withCredentials || false
+      };
+    }
+    if (pages.data) {
+      return { data: toPdfBytes(pages.data, 'The PDF data', false) };
+    }
+    if (pages.file) {
+      return { data: await readPdfBlob(pages.file, false) };
+    }
+    throw new Error('PDF source needs one of "url", "data" or "file"');
+  }
+  
+  throw new Error('Unsupported pages source: expected an array of pages, a PDF URL, PDF data or { type: \'pdf\', ... }');
+}
+
+/**
+ * Adresi indir ve PDF olduğunu doğrula
+ * @param {string} url
+ * @param {Object} [options]
+ * @param {Object} [options.headers] - Ek istek başlıkları
+ * @param {boolean} [options.withCredentials=false] - Çerezleri başka kökene de gönder
+ * @param {Function} [options.onProgress] - (loaded, total)
+ * @returns {Promise<Uint8Array>}
+ */
+export async function fetchPdf(url, options = {}) {
+  const response = await fetch(url, {
+    headers: options.headers || undefined,
+    credentials: options.withCredentials ? 'include' : 'same-origin'
+  });
+  
+  if (!response.ok) {
+    throw new Error(`Failed to load "${url}": HTTP ${response.status}`);
+  }
+  
+  const contentType = (response.headers.get('Content-Type') || '').split(';')[0].trim().toLowerCase();
+  const total = Number(response.headers.get('Content-Length')) || null;
+  const bytes = await readBody(response, total, options.onProgress);
+  
+  // Sunucular PDF'i çoğu zaman application/octet-stream diye gönderir, imza belirleyicidir
+  if (contentType !== 'application/pdf' && !isPdfBytes(bytes)) {
+    throw new Error(`"${url}" is not a PDF (Content-Type: ${contentType || 'unknown'})`);
+  }
+  
+  return bytes;
+}
+
+async function readBody(response, total, onProgress) {
+  if (!response.body || !response.body.getReader) {
+    const bytes = new Uint8Array(await response.arrayBuffer());
+    if (onProgress) onProgress(bytes.length, total);
+    return bytes;
+  }
+  
+  const reader = response.body.getReader();
+  const chunks = [];
+  let loaded = 0;
+  
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    
+    chunks.push(value);
+    loaded += value.length;
+    if (onProgress) onProgress(loaded, total);
+  }
+  
+  const bytes = new Uint8Array(loaded);
+  let offset = 0;
+  chunks.forEach((chunk) => {
+    bytes.set(chunk, offset);
+    offset += chunk.length;
+  });
+  return bytes;
+}
+
+function isBinary(value) {
+  return value instanceof ArrayBuffer || ArrayBuffer.isView(value);
+}
+
+function isBlob(value) {
+  return typeof Blob !== 'undefined' && value instanceof Blob;
+}
+
+function toPdfBytes(value, label, sniff = true) {
+  if (!isBinary(value)) {
+    throw new Error(`${label} must be an ArrayBuffer or Uint8Array`);
+  }
+  
+  const bytes = value instanceof ArrayBuffer
+    ? new Uint8Array(value)
+    : new Uint8Array(value.buffer, value.byteOffset, value.byteLength);
+  
+  if (sniff && !isPdfBytes(bytes)) {
+    throw new Error(`${label} is not a PDF`);
+  }
+  return bytes;
+}
+
+async function readPdfBlob(blob, sniff = true) {
+  if (!isBlob(blob)) {
+    throw new Error('The PDF file must be a File or Blob');
+  }
+  
+  const bytes = new Uint8Array(await blob.arrayBuffer());
+  const name = blob.name ? `"${blob.name}"` : 'The file';
+  
+  if (sniff && blob.type !== 'application/pdf' && !isPdfBytes(bytes)) {
+    throw new Error(`${name} is not a PDF (type: ${blob.type || 'unknown'})`);
+  }
+  return bytes;
+}
@@ -0,0 +1,110 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createServer } from 'node:http';
+import { isPdfBytes, isPdfUrl, resolvePdfSource, fetchPdf } from './pdf-source.js';
+
+const PDF = new TextEncoder().encode('%PDF-1.7\n1 0 obj\n<<>>\nendobj\n');
+const HTML = new TextEncoder().encode('<!doctype html><title>Not found</title>');
+
+// Uzantısız adresler için sahte sunucu: /{name} → [durum, Content-Type, gövde]
+const routes = {
+  '/report': [200, 'application/octet-stream', PDF],
+  '/typed': [200, 'application/pdf; charset=binary', HTML],
+  '/page': [200, 'text/html', HTML],
+  '/missing': [404, 'text/html', HTML]
+};
+
+let server;
+let baseUrl;
+
+before(async () => {
+  server = createServer((req, res) => {
+    const [status, type, body] = routes[req.url];
+    res.writeHead(status, { 'Content-Type': type, 'Content-Length': body.length });
+    res.end(body);
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => new Promise((resolve) => server.close(resolve)));
+
+test('isPdfBytes finds the signature within the first kilobyte', () => {
+  const padded = new Uint8Array(2048);
+  padded.set(PDF, 100);
+  const late = new Uint8Array(2048);
+  late.set(PDF, 1500);
+  
+  assert.equal(isPdfBytes(PDF), true);
+  assert.equal(isPdfBytes(padded), true);
+  assert.equal(isPdfBytes(late), false);
+  assert.equal(isPdfBytes(HTML), false);
+});
+
+test('isPdfUrl ignores the query and hash', () => {
+  assert.equal(isPdfUrl('files/book.PDF'), true);
+  assert.equal(isPdfUrl('https://cdn.example.com/report.pdf?sig=abc#page=2'), true);
+  assert.equal(isPdfUrl('data:application/pdf;base64,JVBERi0='), true);
+  assert.equal(isPdfUrl('https://example.com/download?file=book.pdf'), false);
+});
+
+test('image arrays are not PDF sources', async () => {
+  assert.equal(await resolvePdfSource(['1.jpg', '2.jpg']), null);
+  assert.equal(await resolvePdfSource(null), null);
+});
+
+test('PDF URLs are handed over without downloading', async () => {
+  assert.deepEqual(await resolvePdfSource('book.pdf?v=2'), { url: 'book.pdf?v=2' });
+});
+
+test('binary data is sniffed and returned as bytes', async () => {
+  const { data } = await resolvePdfSource(PDF.buffer);
+  assert.deepEqual(data, PDF);
+  
+  const view = new Uint8Array(PDF.length + 4);
+  view.set(PDF, 4);
+  const sliced = await resolvePdfSource(view.subarray(4));
+  assert.deepEqual(sliced.data, PDF);
+  
+  await assert.rejects(resolvePdfSource(HTML), /The pages data is not a PDF/);
+});
+
+test('files are read and sniffed by type or signature', async () => {
+  const file = new File([PDF], 'scan.bin', { type: 'application/octet-stream' });
+  assert.deepEqual((await resolvePdfSource(file)).data, PDF);
+  
+  const notPdf = new File([HTML], 'index.html', { type: 'text/html' });
+  await assert.rejects(resolvePdfSource(notPdf), /"index.html" is not a PDF \(type: text\/html\)/);
+});
+
+test('descriptors skip sniffing', async () => {
+  assert.deepEqual(
+    await resolvePdfSource({ type: 'pdf', url: '/api/reports/42', headers: { Authorization: 'Bearer x' } }),
+    { url: '/api/reports/42', headers: { Authorization: 'Bearer x' }, withCredentials: false }
+  );
+  assert.deepEqual((await resolvePdfSource({ type: 'pdf', data: HTML })).data, HTML);
+  await assert.rejects(resolvePdfSource({ type: 'pdf' }), /needs one of "url", "data" or "file"/);
+});
+
+test('unsupported sources are rejected', async () => {
+  await assert.rejects(resolvePdfSource({ type: 'epub', url: 'book.epub' }), /Unsupported pages source/);
+});
+
+test('extensionless URLs are downloaded and recognised by signature', async () => {
+  const progress = [];
+  const { data } = await resolvePdfSource(`${baseUrl}/report`, {
+    onProgress: (loaded, total) => progress.push([loaded, total])
+  });
+  
+  assert.deepEqual(data, PDF);
+  assert.deepEqual(progress.at(-1), [PDF.length, PDF.length]);
+});
+
+test('a PDF Content-Type is trusted without a signature', async () => {
+  assert.deepEqual(await fetchPdf(`${baseUrl}/typed`), HTML);
+});
+
+test('downloads that are not PDFs or fail are rejected', async () => {
+  await assert.rejects(fetchPdf(`${baseUrl}/page`), /is not a PDF \(Content-Type: text\/html\)/);
+  await assert.rejects(fetchPdf(`${baseUrl}/missing`), /HTTP 404/);
+});
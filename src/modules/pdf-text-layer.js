@@ -0,0 +1,216 @@
+/**
+ * PDFTextLayer - Selectable PDF Text Module
+ * Canvas'ın üstüne şeffaf, seçilebilir ve ekran okuyucularca okunabilir metin katmanı
+ *
+ * Katman sayfanın 1 ölçekli viewport boyutunda kurulur ve sayfa kabına
+ * sığacak şekilde ölçeklenir; zoom kabın içinde olduğundan katman onunla
+ * birlikte büyür. Etkin değilken fare olaylarını geçirir, sürükleyerek
+ * sayfa çevirme ve zoom kaydırması etkilenmez.
+ */
+export class PDFTextLayer {
+  constructor(pdfLoader, options = {}) {
+    this.pdfLoader = pdfLoader;
+    this.options = {
+      fontFamily: options.fontFamily || 'sans-serif',
+      ...options
+    };
+    
+    this.isActive = false;
+    // host → { layer, viewport }
+    this.layers = new Map();
+    this.pending = new Map();
+    this.measureContext = null;
+    
+    this.resizeObserver = typeof ResizeObserver !== 'undefined'
+      ? new ResizeObserver((entries) => {
+          entries.forEach((entry) => this._fitLayer(entry.target));
+        })
+      : null;
+  }
+  
+  /**
+   * Sayfa kabına metin katmanı ekle
+   * Zaten eklenmişse veya ekleniyorsa tekrar çıkarılmaz.
+   * @param {HTMLElement} host - Canvas'ı tam kaplayan, konumlandırılmış sayfa kabı
+   * @param {number} pageNumber - PDF sayfa numarası (1-indexed)
+   * @returns {Promise<HTMLElement|null>} - Katman, başarısızsa null
+   */
+  render(host, pageNumber) {
+    if (this.layers.has(host)) {
+      return Promise.resolve(this.layers.get(host).layer);
+    }
+    if (!this.pending.has(host)) {
+      const rendering = this._render(host, pageNumber).finally(() => {
+        this.pending.delete(host);
+      });
+      this.pending.set(host, rendering);
+    }
+    
+    return this.pending.get(host);
+  }
+  
+  async _render(host, pageNumber) {
+    let pageText;
+    try {
+      pageText = await this.pdfLoader.getPageText(pageNumber);
+    } catch (error) {
+      console.warn(`Failed to build text layer for PDF page ${pageNumber}:`, error);
+      return null;
+    }
+    
+    // Beklerken kaynak değiştiyse veya katman yok edildiyse ekleme
+    if (!this.pdfLoader) return null;
+    
+    const { viewport, items } = pageText;
+    
+    const layer = document.createElement('div');
+    layer.className = 'simsek-text-layer';
+    layer.style.cssText = `
+      position: absolute;
+      top: 0;
+      left: 0;
+      width: ${viewport.width}px;
+      height: ${viewport.height}px;
+      transform-origin: 0 0;
+      line-height: 1;
+      pointer-events: none;
+      user-select: text;
+      -webkit-user-select: text;
+    `;
+    this._applyActive(layer);
+    
+    items.forEach((item) => {
+      const span = this._createSpan(item, viewport);
+      if (span) layer.appendChild(span);
+    });
+    
+    // Seçim sırasında sayfa çevirme, zoom kaydırma ve çift tıkla zoom başlamasın
+    const stop = (e) => e.stopPropagation();
+    layer.addEventListener('mousedown', stop);
+    layer.addEventListener('dblclick', stop);
+    layer.addEventListener('touchstart', stop, { passive: true });
+    layer.addEventListener('touchend', stop);
+    
+    host.appendChild(layer);
+    this.layers.set(host, { layer, viewport });
+    this._fitLayer(host);
+    
+    if (this.resizeObserver) {
+      this.resizeObserver.observe(host);
+    }
+    
+    return layer;
+  }
+  
+  _createSpan(item, viewport) {
+    if (!item.str.trim()) return null;
+    
+    // Metin matrisini viewport matrisiyle birleştir (PDF → ekran koordinatı)
+    const [a1, b1, c1, d1, e1, f1] = viewport.transform;
+    const [a2, b2, c2, d2, e2, f2] = item.transform;
+    const a = a1 * a2 + c1 * b2;
+    const b = b1 * a2 + d1 * b2;
+    const c = a1 * c2 + c1 * d2;
+    const d = b1 * c2 + d1 * d2;
+    const x = a1 * e2 + c1 * f2 + e1;
+    const y = b1 * e2 + d1 * f2 + f1;
+    
+    const fontHeight = Math.hypot(c, d);
+    if (!fontHeight) return null;
+    
+    const angle = Math.atan2(b, a);
+    const width = item.width * Math.hypot(a1, b1);
+    const measured = this._measureText(item.str, fontHeight);
+    const scaleX = measured > 0 ? width / measured : 1;
+    
+    const span = document.createElement('span');
+    span.textContent = item.str;
+    span.style.cssText = `
+      position: absolute;
+      left: ${x}px;
+      top: ${y - fontHeight}px;
+      font-size: ${fontHeight}px;
+      font-family: ${this.options.fontFamily};
+      white-space: pre;
+      color: transparent;
+      transform-origin: 0 100%;
+      transform: rotate(${angle}rad) scaleX(${scaleX});
+      pointer-events: var(--simsek-text-pointer, none);
+      cursor: text;
+    `;
+    
+    return span;
+  }
+  
+  _measureText(text, fontHeight) {
+    if (!this.measureContext) {
+      this.measureContext = document.createElement('canvas').getContext('2d');
+    }
+    this.measureContext.font = `${fontHeight}px ${this.options.fontFamily}`;
+    return this.measureContext.measureText(text).width;
+  }
+  
+  _fitLayer(host) {
+    const entry = this.layers.get(host);
+    if (!entry) return;
+    
+    // Canvas kabı tam kapladığından katman da aynı oranlarla esner
+    const scaleX = host.clientWidth / entry.viewport.width;
+    const scaleY = host.clientHeight / entry.viewport.height;
+    entry.layer.style.transform = `scale(${scaleX}, ${scaleY})`;
+  }
+  
+  _applyActive(layer) {
+    layer.classList.toggle('simsek-text-layer-active', this.isActive);
+    layer.style.setProperty('--simsek-text-pointer', this.isActive ? 'auto' : 'none');
+  }
+  
+  /**
+   * Metin seçimini aç/kapat
+   * Kapalıyken katman yalnızca ekran okuyuculara hizmet eder.
+   * @param {boolean} active
+   */
+  setActive(active) {
+    this.isActive = !!active;
+    this.layers.forEach(({ layer }) => this._applyActive(layer));
+    
+    if (!this.isActive) {
+      // Kapanırken kalan seçim görünmez metinde asılı kalmasın
+      const selection = window.getSelection();
+      const anchor = selection && selection.anchorNode;
+      if (anchor && Array.from(this.layers.values()).some(({ layer }) => layer.contains(anchor))) {
+        selection.removeAllRanges();
+      }
+    }
+  }
+  
+  /**
+   * Sayfa kabının katmanını kaldır
+   * @param {HTMLElement} host - Sayfa kabı
+   */
+  clear(host) {
+    const entry = this.layers.get(host);
+    if (!entry) return;
+    
+    entry.layer.remove();
+    this.layers.delete(host);
+    if (this.resizeObserver) {
+      this.resizeObserver.unobserve(host);
+    }
+  }
+  
+  /**
+   * Kaynakları temizle
+   */
+  destroy() {
+    if (this.resizeObserver) {
+      this.resizeObserver.disconnect();
+      this.resizeObserver = null;
+    }
+    
+    this.layers.forEach(({ layer }) => layer.remove());
+    this.layers.clear();
+    this.pending.clear();
+    this.pdfLoader = null;
+  }
+}
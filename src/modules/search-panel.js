@@ -0,0 +1,427 @@
+/**
+ * SearchPanel - Search UI Module
+ * Arama kutusu, seçenekler, sonuç listesi ve önceki/sonraki gezinme
+ *
+ * Aramayı kendisi yapmaz; sorgu onSearch ile bildirilir, sonuçlar
+ * addResults/setResults ile panele verilir.
+ */
+export class SearchPanel {
+  constructor(container, options = {}) {
+    this.container = container;
+    this.options = {
+      enabled: options.enabled !== false,
+      rtl: options.rtl || false,
+      debounce: options.debounce !== undefined ? options.debounce : 300,
+      onSearch: options.onSearch || null,
+      onSelect: options.onSelect || null,
+      onNext: options.onNext || null,
+      onPrev: options.onPrev || null,
+      onOpen: options.onOpen || null,
+      onClose: options.onClose || null,
+      ...options
+    };
+    
+    this.panel = null;
+    this.input = null;
+    this.resultList = null;
+    this.statusElement = null;
+    this.results = [];
+    this.activeIndex = -1;
+    this.searchTimer = null;
+    this.isOpen = false;
+  }
+  
+  /**
+   * Panel oluştur
+   */
+  create() {
+    if (!this.options.enabled) return;
+    
+    const rtl = this.options.rtl;
+    
+    this.panel = document.createElement('div');
+    this.panel.className = 'simsek-search-panel';
+    if (rtl) {
+      // Sağdan sola kitaplarda panel soldan açılır
+      this.panel.classList.add('simsek-search-panel-rtl');
+      this.panel.dir = 'rtl';
+    }
+    
+    this.panel.style.cssText = `
+      position: absolute;
+      ${rtl ? 'left' : 'right'}: 0;
+      top: 0;
+      width: 280px;
+      height: 100%;
+      background: var(--simsek-panel-bg, #fff);
+      box-shadow: ${rtl ? '2px' : '-2px'} 0 10px rgba(0,0,0,0.1);
+      z-index: 1000;
+      overflow-y: auto;
+      overflow-x: hidden;
+      transform: ${this._getHiddenTransform()};
+      transition: transform 0.3s ease;
+      display: flex;
+      flex-direction: column;
+    `;
+    
+    this.panel.appendChild(this._createHeader());
+    this.panel.appendChild(this._createForm());
+    
+    this.resultList = document.createElement('div');
+    this.resultList.className = 'simsek-search-results';
+    this.resultList.setAttribute('role', 'listbox');
+    this.resultList.style.cssText = 'flex: 1;';
+    this.panel.appendChild(this.resultList);
+    
+    this.container.appendChild(this.panel);
+  }
+  
+  _createHeader() {
+    const header = document.createElement('div');
+    header.className = 'simsek-search-header';
+    header.style.cssText = `
+      padding: 15px;
+      border-bottom: 1px solid var(--simsek-border-color, #eee);
+      font-weight: bold;
+      display: flex;
+      justify-content: space-between;
+      align-items: center;
+      flex-shrink: 0;
+    `;
+    
+    const title = document.createElement('span');
+    title.textContent = '🔍 Search';
+    
+    const closeBtn = document.createElement('button');
+    closeBtn.className = 'simsek-panel-close';
+    closeBtn.innerHTML = '&times;';
+    closeBtn.setAttribute('aria-label', 'Close');
+    closeBtn.style.cssText = `
+      background: none;
+      border: none;
+      font-size: 20px;
+      cursor: pointer;
+      color: var(--simsek-text-color, #333);
+    `;
+    closeBtn.addEventListener('click', () => this.close());
+    
+    header.appendChild(title);
+    header.appendChild(closeBtn);
+    
+    return header;
+  }
+  
+  _createForm() {
+    const form = document.createElement('form');
+    form.className = 'simsek-search-form';
+    form.style.cssText = `
+      padding: 10px 15px;
+      border-bottom: 1px solid var(--simsek-border-color, #eee);
+      display: flex;
+      flex-direction: column;
+      gap: 8px;
+      flex-shrink: 0;
+    `;
+    
+    const row = document.createElement('div');
+    row.style.cssText = 'display: flex; gap: 4px;';
+    
+    this.input = document.createElement('input');
+    this.input.type = 'search';
+    this.input.className = 'simsek-search-input';
+    this.input.placeholder = 'Search text…';
+    this.input.setAttribute('aria-label', 'Search text');
+    this.input.style.cssText = `
+      flex: 1;
+      min-width: 0;
+      padding: 6px 8px;
+      border: 1px solid var(--simsek-border-color, #ddd);
+      border-radius: 4px;
+      font-size: 14px;
+    `;
+    
+    const prevBtn = this._createNavButton('▲', 'Previous result', () => {
+      if (this.options.onPrev) this.options.onPrev();
+    });
+    const nextBtn = this._createNavButton('▼', 'Next result', () => {
+      if (this.options.onNext) this.options.onNext();
+    });
+    
+    row.appendChild(this.input);
+    row.appendChild(prevBtn);
+    row.appendChild(nextBtn);
+    
+    const optionsRow = document.createElement('div');
+    optionsRow.className = 'simsek-search-options';
+    optionsRow.style.cssText = `
+      display: flex;
+      gap: 12px;
+      font-size: 12px;
+      color: var(--simsek-text-color, #333);
+    `;
+    
+    this.caseSensitiveInput = this._createCheckbox(optionsRow, 'Match case');
+    this.wholeWordInput = this._createCheckbox(optionsRow, 'Whole words');
+    
+    this.statusElement = document.createElement('div');
+    this.statusElement.className = 'simsek-search-status';
+    this.statusElement.setAttribute('aria-live', 'polite');
+    this.statusElement.style.cssText = 'font-size: 12px; color: #999; min-height: 1em;';
+    
+    form.appendChild(row);
+    form.appendChild(optionsRow);
+    form.appendChild(this.statusElement);
+    
+    // Yazarken debounce, Enter ile hemen ara veya sonraki sonuca geç
+    this.input.addEventListener('input', () => this._scheduleSearch());
+    this.caseSensitiveInput.addEventListener('change', () => this._runSearch());
+    this.wholeWordInput.addEventListener('change', () => this._runSearch());
+    
+    form.addEventListener('submit', (e) => {
+      e.preventDefault();
+      if (this.searchTimer || this.results.length === 0) {
+        this._runSearch();
+      } else if (this.options.onNext) {
+        this.options.onNext();
+      }
+    });
+    
+    return form;
+  }
+  
+  _createNavButton(text, title, onClick) {
+    const btn = document.createElement('button');
+    btn.type = 'button';
+    btn.className = 'simsek-search-nav';
+    btn.textContent = text;
+    btn.title = title;
+    btn.setAttribute('aria-label', title);
+    btn.style.cssText = `
+      width: 30px;
+      border: 1px solid var(--simsek-border-color, #ddd);
+      border-radius: 4px;
+      background: none;
+      cursor: pointer;
+      font-size: 10px;
+      color: var(--simsek-text-color, #333);
+    `;
+    btn.addEventListener('click', onClick);
+    return btn;
+  }
+  
+  _createCheckbox(parent, text) {
+    const label = document.createElement('label');
+    label.style.cssText = 'display: flex; align-items: center; gap: 4px; cursor: pointer;';
+    
+    const input = document.createElement('input');
+    input.type = 'checkbox';
+    
+    label.appendChild(input);
+    label.appendChild(document.createTextNode(text));
+    parent.appendChild(label);
+    
+    return input;
+  }
+  
+  _scheduleSearch() {
+    clearTimeout(this.searchTimer);
+    this.searchTimer = setTimeout(() => this._runSearch(), this.options.debounce);
+  }
+  
+  _runSearch() {
+    clearTimeout(this.searchTimer);
+    this.searchTimer = null;
+    
+    if (this.options.onSearch) {
+      this.options.onSearch(this.input.value, this.getSearchOptions());
+    }
+  }
+  
+  /**
+   * Seçili arama seçeneklerini al
+   * @returns {Object} - { caseSensitive, wholeWord }
+   */
+  getSearchOptions() {
+    return {
+      caseSensitive: this.caseSensitiveInput ? this.caseSensitiveInput.checked : false,
+      wholeWord: this.wholeWordInput ? this.wholeWordInput.checked : false
+    };
+  }
+  
+  /**
+   * Sonuç listesini baştan ayarla
+   * @param {Array} results - { page, snippet: { before, match, after } } öğeleri
+   */
+  setResults(results) {
+    this.results = [];
+    this.activeIndex = -1;
+    if (this.resultList) {
+      this.resultList.innerHTML = '';
+    }
+    this.addResults(results);
+  }
+  
+  /**
+   * Listeye sonuç ekle (arama sürerken sayfa sayfa gelir)
+   * @param {Array} results - Yeni sonuçlar
+   */
+  addResults(results) {
+    results.forEach((result) => {
+      const index = this.results.length;
+      this.results.push(result);
+      
+      if (this.resultList) {
+        this.resultList.appendChild(this._createResultItem(result, index));
+      }
+    });
+  }
+  
+  _createResultItem(result, index) {
+    const item = document.createElement('div');
+    item.className = 'simsek-search-result';
+    item.setAttribute('role', 'option');
+    item.tabIndex = 0;
+    item.style.cssText = `
+      padding: 10px 15px;
+      border-bottom: 1px solid var(--simsek-border-color, #eee);
+      border-inline-start: 3px solid transparent;
+      cursor: pointer;
+      font-size: 13px;
+      color: var(--simsek-text-color, #333);
+    `;
+    
+    const page = document.createElement('div');
+    page.className = 'simsek-search-result-page';
+    page.style.cssText = 'font-size: 11px; color: #999; margin-bottom: 2px;';
+    page.textContent = `Page ${result.page + 1}`;
+    
+    // Metin textContent ile yazılır, PDF içeriği HTML olarak yorumlanmaz
+    const snippet = document.createElement('div');
+    snippet.className = 'simsek-search-result-snippet';
+    const mark = document.createElement('mark');
+    mark.textContent = result.snippet.match;
+    snippet.appendChild(document.createTextNode(result.snippet.before));
+    snippet.appendChild(mark);
+    snippet.appendChild(document.createTextNode(result.snippet.after));
+    
+    item.appendChild(page);
+    item.appendChild(snippet);
+    
+    const select = () => {
+      if (this.options.onSelect) this.options.onSelect(index);
+    };
+    item.addEventListener('click', select);
+    item.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') select();
+    });
+    
+    return item;
+  }
+  
+  /**
+   * Etkin sonucu işaretle
+   * @param {number} index - Sonuç sırası, -1 hiçbiri
+   */
+  setActive(index) {
+    if (!this.resultList) return;
+    
+    const items = this.resultList.children;
+    if (items[this.activeIndex]) {
+      items[this.activeIndex].style.borderInlineStartColor = 'transparent';
+      items[this.activeIndex].removeAttribute('aria-selected');
+    }
+    
+    this.activeIndex = index;
+    
+    const active = items[index];
+    if (active) {
+      active.style.borderInlineStartColor = 'var(--simsek-primary, #007bff)';
+      active.setAttribute('aria-selected', 'true');
+      active.scrollIntoView({ block: 'nearest' });
+    }
+  }
+  
+  /**
+   * Durum metnini ayarla (ör. "12 results")
+   * @param {string} text
+   */
+  setStatus(text) {
+    if (this.statusElement) {
+      this.statusElement.textContent = text;
+    }
+  }
+  
+  /**
+   * Panel aç ve arama kutusuna odaklan
+   */
+  open() {
+    if (!this.panel) return;
+    
+    const wasOpen = this.isOpen;
+    this.panel.style.transform = 'translateX(0)';
+    this.isOpen = true;
+    this.input.focus();
+    
+    if (!wasOpen && this.options.onOpen) {
+      this.options.onOpen();
+    }
+  }
+  
+  /**
+   * Panel kapat
+   */
+  close() {
+    if (!this.panel) return;
+    
+    const wasOpen = this.isOpen;
+    this.panel.style.transform = this._getHiddenTransform();
+    this.isOpen = false;
+    
+    if (wasOpen && this.options.onClose) {
+      this.options.onClose();
+    }
+  }
+  
+  _getHiddenTransform() {
+    return this.options.rtl ? 'translateX(-100%)' : 'translateX(100%)';
+  }
+  
+  /**
+   * Panel toggle
+   * @returns {boolean} - Yeni durum
+   */
+  toggle() {
+    if (this.isOpen) {
+      this.close();
+    } else {
+      this.open();
+    }
+    return this.isOpen;
+  }
+  
+  /**
+   * Panel açık mı
+   * @returns {boolean}
+   */
+  isVisible() {
+    return this.isOpen;
+  }
+  
+  /**
+   * Kaynakları temizle
+   */
+  destroy() {
+    clearTimeout(this.searchTimer);
+    this.searchTimer = null;
+    
+    if (this.panel) {
+      this.panel.remove();
+      this.panel = null;
+    }
+    
+    this.input = null;
+    this.resultList = null;
+    this.statusElement = null;
+    this.results = [];
+  }
+}
@@ -7,10 +7,13 @@ export class ThumbnailPanel {
     this.container = container;
     this.options = {
       enabled: options.enabled !== false,
+      rtl: options.rtl || false,
       thumbnailWidth: options.thumbnailWidth || 120,
       thumbnailHeight: options.thumbnailHeight || 160,
       lazyLoad: options.lazyLoad !== false,
       onPageSelect: options.onPageSelect || null,
+      onOpen: options.onOpen || null,
+      onClose: options.onClose || null,
       ...options
     };
     
@@ -27,21 +30,28 @@ export class ThumbnailPanel {
   create() {
     if (!this.options.enabled) return;
     
+    const rtl = this.options.rtl;
+    
     this.panel = document.createElement('div');
     this.panel.className = 'simsek-thumbnail-panel';
+    if (rtl) {
+      // Sağdan sola kitaplarda panel sağdan açılır
+      this.panel.classList.add('simsek-thumbnail-panel-rtl');
+      this.panel.dir = 'rtl';
+    }
     
     this.panel.style.cssText = `
       position: absolute;
-      left: 0;
+      ${rtl ? 'right' : 'left'}: 0;
       top: 0;
       width: 180px;
       height: 100%;
       background: var(--simsek-panel-bg, #fff);
-      box-shadow: 2px 0 10px rgba(0,0,0,0.1);
+      box-shadow: ${rtl ? '-2px' : '2px'} 0 10px rgba(0,0,0,0.1);
       z-index: 1000;
       overflow-y: auto;
       overflow-x: hidden;
-      transform: translateX(-100%);
+      transform: ${this._getHiddenTransform()};
       transition: transform 0.3s ease;
       display: flex;
       flex-direction: column;
@@ -122,7 +132,8 @@ export class ThumbnailPanel {
     
     // Placeholder'ı gerçek içerikle değiştir
     if (thumbnailData.loadCallback) {
-      thumbnailData.loadCallback(element, index);
+      const imageContainer = element.querySelector('.simsek-thumbnail-image') || element;
+      thumbnailData.loadCallback(imageContainer, index);
       thumbnailData.loaded = true;
     }
     
@@ -250,12 +261,13 @@ export class ThumbnailPanel {
   /**
    * Aktif sayfayı güncelle
    * @param {number} pageNumber - Aktif sayfa numarası
+   * @param {number} pageCount - Ekranda görünen sayfa sayısı (tek sayfa modunda 1)
    */
-  setActivePage(pageNumber) {
+  setActivePage(pageNumber, pageCount = 2) {
     this.currentPage = pageNumber;
     
     this.thumbnails.forEach((thumb, index) => {
-      const isActive = index === pageNumber || index === pageNumber + 1;
+      const isActive = index >= pageNumber && index < pageNumber + pageCount;
       thumb.element.style.borderColor = isActive 
         ? 'var(--simsek-primary, #007bff)' 
         : 'transparent';
@@ -277,8 +289,13 @@ export class ThumbnailPanel {
   open() {
     if (!this.panel) return;
     
+    const wasOpen = this.isOpen;
     this.panel.style.transform = 'translateX(0)';
     this.isOpen = true;
+    
+    if (!wasOpen && this.options.onOpen) {
+      this.options.onOpen();
+    }
   }
   
   /**
@@ -287,8 +304,17 @@ export class ThumbnailPanel {
   close() {
     if (!this.panel) return;
     
-    this.panel.style.transform = 'translateX(-100%)';
+    const wasOpen = this.isOpen;
+    this.panel.style.transform = this._getHiddenTransform();
     this.isOpen = false;
+    
+    if (wasOpen && this.options.onClose) {
+      this.options.onClose();
+    }
+  }
+  
+  _getHiddenTransform() {
+    return this.options.rtl ? 'translateX(100%)' : 'translateX(-100%)';
   }
   
   /**
@@ -0,0 +1,430 @@
+/**
+ * TocPanel - Table of Contents Module
+ * İç içe, katlanabilir içindekiler listesi ve okunan bölümün vurgulanması
+ *
+ * Öğe biçimi: { title: string, page: number|null, items?: Array }
+ * page 0'dan başlar; null olan öğeler yalnızca alt öğelerini gruplar.
+ */
+export class TocPanel {
+  constructor(container, options = {}) {
+    this.container = container;
+    this.options = {
+      enabled: options.enabled !== false,
+      rtl: options.rtl || false,
+      title: options.title || 'Contents',
+      onSelect: options.onSelect || null,
+      onOpen: options.onOpen || null,
+      onClose: options.onClose || null,
+      ...options
+    };
+    
+    this.panel = null;
+    this.listContainer = null;
+    this.items = [];
+    // Belge sırasıyla düzleştirilmiş öğeler: { item, element, parent }
+    this.entries = [];
+    this.activeEntry = null;
+    this.isOpen = false;
+  }
+  
+  /**
+   * Panel oluştur
+   */
+  create() {
+    if (!this.options.enabled) return;
+    
+    const rtl = this.options.rtl;
+    
+    this.panel = document.createElement('div');
+    this.panel.className = 'simsek-toc-panel';
+    if (rtl) {
+      this.panel.classList.add('simsek-toc-panel-rtl');
+      this.panel.dir = 'rtl';
+    }
+    
+    this.panel.style.cssText = `
+      position: absolute;
+      ${rtl ? 'right' : 'left'}: 0;
+      top: 0;
+      width: 250px;
+      height: 100%;
+      background: var(--simsek-panel-bg, #fff);
+      box-shadow: ${rtl ? '-2px' : '2px'} 0 10px rgba(0,0,0,0.1);
+      z-index: 1000;
+      overflow-y: auto;
+      overflow-x: hidden;
+      transform: ${this._getHiddenTransform()};
+      transition: transform 0.3s ease;
+      display: flex;
+      flex-direction: column;
+    `;
+    
+    // Header
+    const header = document.createElement('div');
+    header.className = 'simsek-toc-header';
+    header.style.cssText = `
+      padding: 15px;
+      border-bottom: 1px solid var(--simsek-border-color, #eee);
+      font-weight: bold;
+      display: flex;
+      justify-content: space-between;
+      align-items: center;
+      flex-shrink: 0;
+    `;
+    
+    const title = document.createElement('span');
+    title.textContent = `📖 ${this.options.title}`;
+    
+    const closeBtn = document.createElement('button');
+    closeBtn.className = 'simsek-panel-close';
+    closeBtn.innerHTML = '&times;';
+    closeBtn.setAttribute('aria-label', 'Close');
+    closeBtn.style.cssText = `
+      background: none;
+      border: none;
+      font-size: 20px;
+      cursor: pointer;
+      color: var(--simsek-text-color, #333);
+    `;
+    closeBtn.addEventListener('click', () => this.close());
+    
+    header.appendChild(title);
+    header.appendChild(closeBtn);
+    
+    // List container
+    this.listContainer = document.createElement('div');
+    this.listContainer.className = 'simsek-toc-container';
+    this.listContainer.style.cssText = `
+      flex: 1;
+      padding: 8px 0;
+    `;
+    
+    this.panel.appendChild(header);
+    this.panel.appendChild(this.listContainer);
+    this.container.appendChild(this.panel);
+    
+    this._render();
+  }
+  
+  /**
+   * İçindekileri ayarla
+   * @param {Array} items - { title, page, items } ağacı
+   */
+  setItems(items) {
+    this.items = TocPanel.normalize(items);
+    this.activeEntry = null;
+    this._render();
+  }
+  
+  /**
+   * İçindekileri al
+   * @returns {Array}
+   */
+  getItems() {
+    return this.items;
+  }
+  
+  /**
+   * İçindekiler var mı
+   * @returns {boolean}
+   */
+  hasItems() {
+    return this.items.length > 0;
+  }
+  
+  /**
+   * Dışarıdan gelen ağacı doğrula ve temizle
+   * Başlığı olmayan, sayfası ve alt öğesi de olmayan girdiler atılır.
+   * @param {Array} items - Ham öğeler
+   * @returns {Array} - { title, page, items } ağacı
+   */
+  static normalize(items) {
+    if (!Array.isArray(items)) return [];
+    
+    return items.reduce((result, raw) => {
+      if (!raw || typeof raw !== 'object') return result;
+      
+      const page = Number.isInteger(raw.page) && raw.page >= 0 ? raw.page : null;
+      const children = TocPanel.normalize(raw.items);
+      if (page === null && children.length === 0) return result;
+      
+      result.push({
+        title: String(raw.title || '').trim() || (page !== null ? `Page ${page + 1}` : 'Untitled'),
+        page,
+        items: children
+      });
+      return result;
+    }, []);
+  }
+  
+  _render() {
+    if (!this.listContainer) return;
+    
+    this.listContainer.innerHTML = '';
+    this.entries = [];
+    this.activeEntry = null;
+    
+    if (this.items.length === 0) {
+      const empty = document.createElement('p');
+      empty.className = 'simsek-toc-empty';
+      empty.style.cssText = 'padding: 15px; color: #999; text-align: center;';
+      empty.textContent = 'No table of contents';
+      this.listContainer.appendChild(empty);
+      return;
+    }
+    
+    this.listContainer.appendChild(this._createList(this.items, 0, null));
+  }
+  
+  _createList(items, depth, parent) {
+    const list = document.createElement('ul');
+    list.className = 'simsek-toc-list';
+    list.setAttribute('role', depth === 0 ? 'tree' : 'group');
+    list.style.cssText = 'list-style: none; margin: 0; padding: 0;';
+    
+    items.forEach((item) => {
+      list.appendChild(this._createItem(item, depth, parent));
+    });
+    
+    return list;
+  }
+  
+  _createItem(item, depth, parent) {
+    const hasChildren = item.items.length > 0;
+    
+    const element = document.createElement('li');
+    element.className = 'simsek-toc-item';
+    element.setAttribute('role', 'treeitem');
+    if (hasChildren) {
+      element.setAttribute('aria-expanded', 'false');
+    }
+    
+    const row = document.createElement('div');
+    row.className = 'simsek-toc-row';
+    row.style.cssText = `
+      display: flex;
+      align-items: center;
+      gap: 4px;
+      padding: 6px 10px;
+      padding-inline-start: ${10 + depth * 14}px;
+      cursor: ${item.page !== null ? 'pointer' : 'default'};
+      color: var(--simsek-text-color, #333);
+      font-size: 14px;
+      border-inline-start: 3px solid transparent;
+    `;
+    
+    // Alt öğesi olanlarda aç/kapa oku, olmayanlarda hizalama boşluğu
+    const toggle = document.createElement('button');
+    toggle.className = 'simsek-toc-toggle';
+    toggle.style.cssText = `
+      width: 18px;
+      flex-shrink: 0;
+      background: none;
+      border: none;
+      padding: 0;
+      font-size: 10px;
+      color: inherit;
+      cursor: pointer;
+      visibility: ${hasChildren ? 'visible' : 'hidden'};
+    `;
+    toggle.textContent = '▸';
+    toggle.setAttribute('aria-label', 'Expand');
+    toggle.tabIndex = hasChildren ? 0 : -1;
+    
+    const label = document.createElement('span');
+    label.className = 'simsek-toc-title';
+    label.style.cssText = 'flex: 1; overflow: hidden; text-overflow: ellipsis;';
+    label.textContent = item.title;
+    
+    const pageNumber = document.createElement('span');
+    pageNumber.className = 'simsek-toc-page';
+    pageNumber.style.cssText = 'font-size: 12px; color: #999; flex-shrink: 0;';
+    pageNumber.textContent = item.page !== null ? String(item.page + 1) : '';
+    
+    row.appendChild(toggle);
+    row.appendChild(label);
+    row.appendChild(pageNumber);
+    element.appendChild(row);
+    
+    const entry = { item, element, row, parent };
+    this.entries.push(entry);
+    
+    if (hasChildren) {
+      const children = this._createList(item.items, depth + 1, entry);
+      children.style.display = 'none';
+      element.appendChild(children);
+      entry.children = children;
+      
+      toggle.addEventListener('click', (e) => {
+        e.stopPropagation();
+        this._setExpanded(entry, children.style.display === 'none');
+      });
+    }
+    
+    row.addEventListener('click', () => {
+      if (item.page !== null) {
+        if (this.options.onSelect) this.options.onSelect(item.page, item);
+      } else if (hasChildren) {
+        // Sayfası olmayan grup başlıkları yalnızca açılıp kapanır
+        this._setExpanded(entry, entry.children.style.display === 'none');
+      }
+    });
+    
+    return element;
+  }
+  
+  _setExpanded(entry, expanded) {
+    if (!entry.children) return;
+    
+    entry.children.style.display = expanded ? '' : 'none';
+    entry.element.setAttribute('aria-expanded', String(expanded));
+    
+    const toggle = entry.row.querySelector('.simsek-toc-toggle');
+    toggle.textContent = expanded ? '▾' : '▸';
+    toggle.setAttribute('aria-label', expanded ? 'Collapse' : 'Expand');
+  }
+  
+  /**
+   * Tüm öğeleri aç veya kapat
+   * @param {boolean} expanded
+   */
+  setAllExpanded(expanded) {
+    this.entries.forEach((entry) => this._setExpanded(entry, expanded));
+  }
+  
+  /**
+   * Okunan bölümü vurgula
+   * Görünen son sayfada veya öncesinde başlayan en son bölüm etkindir;
+   * aynı sayfadaki bölümlerden en derindeki seçilir.
+   * @param {number} pageNumber - Aktif sayfa numarası
+   * @param {number} pageCount - Ekranda görünen sayfa sayısı
+   */
+  setActivePage(pageNumber, pageCount = 1) {
+    const lastVisible = pageNumber + Math.max(pageCount, 1) - 1;
+    
+    let active = null;
+    this.entries.forEach((entry) => {
+      const { page } = entry.item;
+      if (page === null || page > lastVisible) return;
+      if (!active || page >= active.item.page) {
+        active = entry;
+      }
+    });
+    
+    if (active === this.activeEntry) return;
+    
+    if (this.activeEntry) {
+      this._paintActive(this.activeEntry, false);
+    }
+    this.activeEntry = active;
+    if (!active) return;
+    
+    this._paintActive(active, true);
+    
+    // Etkin bölümün üst öğeleri açılır
+    for (let parent = active.parent; parent; parent = parent.parent) {
+      this._setExpanded(parent, true);
+    }
+    
+    if (this.isOpen) {
+      active.row.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+    }
+  }
+  
+  _paintActive(entry, active) {
+    entry.row.classList.toggle('simsek-toc-active', active);
+    entry.row.style.fontWeight = active ? 'bold' : '';
+    entry.row.style.borderInlineStartColor = active
+      ? 'var(--simsek-primary, #007bff)'
+      : 'transparent';
+    entry.row.style.background = active ? 'var(--simsek-toc-active-bg, rgba(0,123,255,0.08))' : '';
+    
+    if (active) {
+      entry.element.setAttribute('aria-current', 'true');
+    } else {
+      entry.element.removeAttribute('aria-current');
+    }
+  }
+  
+  /**
+   * Etkin bölümü al
+   * @returns {Object|null} - { title, page, items }
+   */
+  getActiveItem() {
+    return this.activeEntry ? this.activeEntry.item : null;
+  }
+  
+  /**
+   * Panel aç
+   */
+  open() {
+    if (!this.panel) return;
+    
+    const wasOpen = this.isOpen;
+    this.panel.style.transform = 'translateX(0)';
+    this.isOpen = true;
+    
+    if (this.activeEntry) {
+      this.activeEntry.row.scrollIntoView({ block: 'nearest' });
+    }
+    
+    if (!wasOpen && this.options.onOpen) {
+      this.options.onOpen();
+    }
+  }
+  
+  /**
+   * Panel kapat
+   */
+  close() {
+    if (!this.panel) return;
+    
+    const wasOpen = this.isOpen;
+    this.panel.style.transform = this._getHiddenTransform();
+    this.isOpen = false;
+    
+    if (wasOpen && this.options.onClose) {
+      this.options.onClose();
+    }
+  }
+  
+  _getHiddenTransform() {
+    return this.options.rtl ? 'translateX(100%)' : 'translateX(-100%)';
+  }
+  
+  /**
+   * Panel toggle
+   * @returns {boolean} - Yeni durum
+   */
+  toggle() {
+    if (this.isOpen) {
+      this.close();
+    } else {
+      this.open();
+    }
+    return this.isOpen;
+  }
+  
+  /**
+   * Panel açık mı
+   * @returns {boolean}
+   */
+  isVisible() {
+    return this.isOpen;
+  }
+  
+  /**
+   * Kaynakları temizle
+   */
+  destroy() {
+    if (this.panel) {
+      this.panel.remove();
+      this.panel = null;
+    }
+    
+    this.listContainer = null;
+    this.items = [];
+    this.entries = [];
+    this.activeEntry = null;
+  }
+}
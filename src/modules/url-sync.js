@@ -0,0 +1,129 @@
+/**
+ * UrlSync - Deep Linking Module
+ * Mevcut sayfayı URL hash'i veya query parametresi ile senkronize eder
+ */
+export class UrlSync {
+  constructor(options = {}) {
+    this.options = {
+      enabled: options.enabled !== false,
+      mode: options.mode || 'hash', // 'hash' | 'query'
+      param: options.param || 'page',
+      history: options.history || false,
+      onNavigate: options.onNavigate || null,
+      ...options
+    };
+    
+    this._boundHandler = this._handleUrlChange.bind(this);
+    // URL'den başlatılıp henüz bitmemiş gezinmeler
+    this.pendingNavigations = 0;
+    // Okuyucunun açık olduğu son sayfa (setPage ile bildirilir)
+    this.currentPage = null;
+    
+    this._init();
+  }
+  
+  _init() {
+    if (this.options.enabled) {
+      this._bindEvents();
+    }
+  }
+  
+  _bindEvents() {
+    // Hash modunda elle değiştirilen hash'ler, her iki modda da geri/ileri tuşları
+    window.addEventListener('hashchange', this._boundHandler);
+    window.addEventListener('popstate', this._boundHandler);
+  }
+  
+  _unbindEvents() {
+    window.removeEventListener('hashchange', this._boundHandler);
+    window.removeEventListener('popstate', this._boundHandler);
+  }
+  
+  _handleUrlChange() {
+    const page = this.getPage();
+    if (page === null || !this.options.onNavigate) return;
+    
+    // URL'den gelinen sayfa spread başına yuvarlanabilir; düzeltme geçmişe yeni kayıt eklemesin
+    this.pendingNavigations++;
+    const done = (result) => {
+      // Gezinme reddedildiyse (çevirme sürüyor, beforeFlip vetosu) URL açık sayfaya dönsün
+      if (result === false && this.currentPage !== null) {
+        this.setPage(this.currentPage);
+      }
+      this.pendingNavigations--;
+    };
+    Promise.resolve(this.options.onNavigate(page)).then(done, () => done(false));
+  }
+  
+  _getParams() {
+    const { mode } = this.options;
+    const source = mode === 'query' ? location.search : location.hash;
+    return new URLSearchParams(source.replace(/^[#?]/, ''));
+  }
+  
+  _buildUrl(params) {
+    const query = params.toString();
+    
+    if (this.options.mode === 'query') {
+      return `${location.pathname}${query ? `?${query}` : ''}${location.hash}`;
+    }
+    return `${location.pathname}${location.search}${query ? `#${query}` : ''}`;
+  }
+  
+  /**
+   * URL'deki sayfayı oku
+   * URL'de sayfalar 1'den başlar, dönen değer 0'dan başlar
+   * @returns {number|null} - Sayfa numarası, yoksa null
+   */
+  getPage() {
+    const value = this._getParams().get(this.options.param);
+    if (value === null) return null;
+    
+    const page = parseInt(value, 10);
+    if (isNaN(page) || page < 1) return null;
+    
+    return page - 1;
+  }
+  
+  /**
+   * Sayfayı URL'ye yaz
+   * @param {number} pageNumber - Sayfa numarası (0'dan başlar)
+   */
+  setPage(pageNumber) {
+    if (!this.options.enabled) return;
+    
+    this.currentPage = pageNumber;
+    
+    // URL zaten bu sayfayı gösteriyorsa geçmişe tekrar ekleme
+    if (this.getPage() === pageNumber) return;
+    
+    const params = this._getParams();
+    params.set(this.options.param, String(pageNumber + 1));
+    const url = this._buildUrl(params);
+    
+    // pushState/replaceState hashchange tetiklemez, döngü oluşmaz
+    if (this.options.history && this.pendingNavigations === 0) {
+      history.pushState(history.state, '', url);
+    } else {
+      history.replaceState(history.state, '', url);
+    }
+  }
+  
+  /**
+   * Sayfa bilgisini URL'den kaldır
+   */
+  clear() {
+    const params = this._getParams();
+    if (!params.has(this.options.param)) return;
+    
+    params.delete(this.options.param);
+    history.replaceState(history.state, '', this._buildUrl(params));
+  }
+  
+  /**
+   * Kaynakları temizle
+   */
+  destroy() {
+    this._unbindEvents();
+  }
+}
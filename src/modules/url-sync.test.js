@@ -0,0 +1,120 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { UrlSync } from './url-sync.js';
+
+// Tarayıcının location/history/window nesnelerinin yeterli kadarı
+function installBrowser(url) {
+  const listeners = {};
+  const calls = [];
+  const location = new URL(url);
+  
+  const setUrl = (next) => {
+    const resolved = new URL(next, location.href);
+    location.href = resolved.href;
+  };
+  
+  globalThis.location = location;
+  globalThis.history = {
+    state: null,
+    pushState(state, title, next) {
+      calls.push(['push', next]);
+      setUrl(next);
+    },
+    replaceState(state, title, next) {
+      calls.push(['replace', next]);
+      setUrl(next);
+    }
+  };
+  globalThis.window = {
+    addEventListener(type, handler) {
+      (listeners[type] = listeners[type] || []).push(handler);
+    },
+    removeEventListener(type, handler) {
+      listeners[type] = (listeners[type] || []).filter((item) => item !== handler);
+    }
+  };
+  
+  return {
+    calls,
+    // Geri/ileri: tarayıcı URL'yi değiştirir, sonra popstate yayınlar
+    pop(next) {
+      setUrl(next);
+      (listeners.popstate || []).forEach((handler) => handler());
+    }
+  };
+}
+
+let browser;
+
+beforeEach(() => {
+  browser = installBrowser('https://example.com/reader.html#page=5');
+});
+
+afterEach(() => {
+  delete globalThis.location;
+  delete globalThis.history;
+  delete globalThis.window;
+});
+
+test('reads 1-based URL pages as 0-based page numbers', () => {
+  const sync = new UrlSync();
+  
+  assert.equal(sync.getPage(), 4);
+  sync.destroy();
+});
+
+test('history mode pushes page changes', () => {
+  const sync = new UrlSync({ history: true });
+  
+  sync.setPage(7);
+  
+  assert.deepEqual(browser.calls, [['push', '/reader.html#page=8']]);
+  sync.destroy();
+});
+
+test('a page normalized after popstate replaces the entry instead of pushing', async () => {
+  const sync = new UrlSync({
+    history: true,
+    // İkili görünümde 3 numaralı sayfa 2'de başlayan spread'dedir
+    onNavigate: async (page) => {
+      await Promise.resolve();
+      sync.setPage(page - 1);
+    }
+  });
+  
+  browser.pop('/reader.html#page=4');
+  await new Promise((resolve) => setTimeout(resolve, 0));
+  
+  assert.deepEqual(browser.calls, [['replace', '/reader.html#page=3']]);
+  
+  // Gezinme bittikten sonra okuyucunun çevirdiği sayfalar yine geçmişe eklenir
+  sync.setPage(9);
+  assert.deepEqual(browser.calls.at(-1), ['push', '/reader.html#page=10']);
+  sync.destroy();
+});
+
+test('a refused navigation restores the URL of the open page', async () => {
+  const sync = new UrlSync({
+    history: true,
+    // Çevirme sürerken veya beforeFlip vetosunda goToPage false döner
+    onNavigate: async () => false
+  });
+  sync.setPage(4);
+  
+  browser.pop('/reader.html#page=9');
+  await new Promise((resolve) => setTimeout(resolve, 0));
+  
+  assert.deepEqual(browser.calls.at(-1), ['replace', '/reader.html#page=5']);
+  assert.equal(sync.getPage(), 4);
+  sync.destroy();
+});
+
+test('query mode keeps the hash', () => {
+  browser = installBrowser('https://example.com/reader.html?lang=tr#intro');
+  const sync = new UrlSync({ mode: 'query' });
+  
+  sync.setPage(0);
+  
+  assert.deepEqual(browser.calls, [['replace', '/reader.html?lang=tr&page=1#intro']]);
+  sync.destroy();
+});
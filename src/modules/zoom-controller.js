@@ -12,6 +12,7 @@ export class ZoomController {
       zoomStep: options.zoomStep || 0.25,
       doubleTapZoom: options.doubleTapZoom || 2,
       onZoom: options.onZoom || null,
+      onPanEnd: options.onPanEnd || null,
       ...options
     };
     
@@ -183,7 +184,7 @@ export class ZoomController {
   }
   
   _handleTouchEnd(e) {
-    this.isPanning = false;
+    this._endPan();
   }
   
   _handleMouseDown(e) {
@@ -208,12 +209,21 @@ export class ZoomController {
   }
   
   _handleMouseUp() {
-    this.isPanning = false;
+    this._endPan();
     if (this.zoomWrapper) {
       this.zoomWrapper.style.cursor = this.currentZoom > 1 ? 'grab' : 'default';
     }
   }
   
+  _endPan() {
+    const wasPanning = this.isPanning;
+    this.isPanning = false;
+    
+    if (wasPanning && this.options.onPanEnd) {
+      this.options.onPanEnd(this.getPan());
+    }
+  }
+  
   _getTouchDistance(touches) {
     const dx = touches[0].clientX - touches[1].clientX;
     const dy = touches[0].clientY - touches[1].clientY;
@@ -332,6 +342,48 @@ export class ZoomController {
     return this.currentZoom;
   }
   
+  /**
+   * Kaydırma (pan) konumunu al
+   * @returns {{x: number, y: number}}
+   */
+  getPan() {
+    return { x: this.panX, y: this.panY };
+  }
+  
+  /**
+   * Kaydırma (pan) konumunu ayarla
+   * Değerler mevcut zoom seviyesinin sınırlarına göre kırpılır
+   * @param {number} x - Yatay kaydırma (px)
+   * @param {number} y - Dikey kaydırma (px)
+   */
+  setPan(x, y) {
+    this.panX = x;
+    this.panY = y;
+    
+    this._constrainPan();
+    this._applyTransform();
+  }
+  
+  /**
+   * Zoom ve kaydırmayı geçiş animasyonu olmadan uygula
+   * @param {number} zoom - Zoom seviyesi
+   * @param {number} x - Yatay kaydırma (px)
+   * @param {number} y - Dikey kaydırma (px)
+   */
+  setView(zoom, x, y) {
+    if (!this.zoomContent) return;
+    
+    const transition = this.zoomContent.style.transition;
+    this.zoomContent.style.transition = 'none';
+    
+    this.setZoom(zoom);
+    this.setPan(x, y);
+    
+    // Reflow ile yeni transform geçişsiz uygulanır, geçiş sonra geri gelir
+    void this.zoomContent.offsetWidth;
+    this.zoomContent.style.transition = transition;
+  }
+  
   /**
    * Zoom etkin mi
    * @returns {boolean}
@@ -14,15 +14,61 @@ import { AudioManager } from './modules/audio-manager.js';
 import { ZoomController } from './modules/zoom-controller.js';
 import { BookmarkManager } from './modules/bookmark-manager.js';
 import { ThumbnailPanel } from './modules/thumbnail-panel.js';
+import { TocPanel } from './modules/toc-panel.js';
+import { PDFSearch } from './modules/pdf-search.js';
+import { SearchPanel } from './modules/search-panel.js';
+import { PDFTextLayer } from './modules/pdf-text-layer.js';
+import { PDFRenderQueue } from './modules/pdf-render-queue.js';
+import { CanvasCache } from './modules/canvas-cache.js';
+import { resolvePdfSource } from './modules/pdf-source.js';
+import { PasswordPrompt } from './modules/password-prompt.js';
 import { KeyboardNav } from './modules/keyboard-nav.js';
+import { EventEmitter } from './modules/event-emitter.js';
+import { UrlSync } from './modules/url-sync.js';
 
-export class SimsekBook {
+/**
+ * Events emitted through book.on(event, handler):
+ *
+ * - flipstart        (page, direction)  Page turn begins (also before goto jumps and redirects)
+ * - flipend          (page, direction)  Page turn finished ('next' | 'prev' | 'goto')
+ * - zoom             (level)            Zoom level changed
+ * - bookmarkadd      (page)             Page bookmarked
+ * - bookmarkremove   (page)             Bookmark removed
+ * - bookmarkupdate   (page, bookmark)   Bookmark title, note or colour changed
+ * - bookmarksload    (pages)            Bookmarks loaded or imported ([] on a book switch)
+ * - loading          (source)           book.load() started swapping the source
+ * - loadprogress     (loaded, total)    PDF bytes downloaded (total is null when unknown)
+ * - passwordrequest  (reason)           Encrypted PDF needs a password ('required' | 'incorrect')
+ * - passwordcancel   ()                 Password dialog cancelled, followed by error
+ * - ready            (book)             Pages loaded and controls built
+ * - error            (error)            Initialization failed
+ * - fullscreenchange (isFullscreen)     Fullscreen entered or left
+ * - thumbnailsopen   ()                 Thumbnail panel opened
+ * - thumbnailsclose  ()                 Thumbnail panel closed
+ * - bookmarksopen    ()                 Bookmarks panel opened
+ * - bookmarksclose   ()                 Bookmarks panel closed
+ * - tocload          (items)            Table of contents read from the PDF or the toc option, again after pages change
+ * - tocopen          ()                 Table of contents panel opened
+ * - tocclose         ()                 Table of contents panel closed
+ * - search           (query, hits)      PDF text search finished
+ * - searchopen       ()                 Search panel opened
+ * - searchclose      ()                 Search panel closed
+ * - textselectchange (enabled)          Text select mode switched on or off
+ * - autoplaystart    ()                 Auto-play started
+ * - autoplaystop     ()                 Auto-play stopped
+ * - soundchange      (enabled, volume)  Sound toggled or volume changed
+ * - pageschange      (totalPages)       Pages inserted, removed or replaced
+ * - displaychange    (mode)             Switched between 'single' and 'double' display
+ */
+export class SimsekBook extends EventEmitter {
   /**
    * SimsekBook constructor
    * @param {string|HTMLElement} container - Container selector or element
    * @param {Object} options - Configuration options
    */
   constructor(container, options = {}) {
+    super();
+    
     // Container setup
     if (typeof container === 'string') {
       this.container = document.querySelector(container);
@@ -55,10 +101,33 @@ export class SimsekBook {
       enableDragFlip: options.enableDragFlip !== false,
       pageBackColor: options.pageBackColor || '#f5f5dc',
       
+      // Covers: first and last page shown alone; hardCover also flips them as rigid boards
+      showCover: options.showCover || options.hardCover || false,
+      hardCover: options.hardCover || false,
+      coverFlipDuration: options.coverFlipDuration || (options.pageFlipDuration || 800) * 1.5,
+      
       // Sound
       enableSound: options.enableSound !== false,
       soundVolume: options.soundVolume || 0.5,
       pageFlipSound: options.pageFlipSound || null,
+      coverFlipSound: options.coverFlipSound || null,
+      
+      // PDF pages rendered ahead of and behind the visible spread, the rest wait as placeholders
+      pdfLookAhead: options.pdfLookAhead !== undefined ? options.pdfLookAhead : 4,
+      // Memory budget for rendered PDF pages; pages far from the reader are dropped first
+      pdfCacheMaxBytes: options.pdfCacheMaxBytes !== undefined ? options.pdfCacheMaxBytes : 128 * 1024 * 1024,
+      pdfCacheMaxPixels: options.pdfCacheMaxPixels !== undefined ? options.pdfCacheMaxPixels : null,
+      // Sharp PDF pages when zoomed: visible pages are re-rendered at zoom × devicePixelRatio
+      pdfZoomRender: options.pdfZoomRender !== false,
+      // Re-render only the part of the page on screen, allowing sharper text at high zoom
+      pdfZoomTiles: options.pdfZoomTiles || false,
+      // Largest canvas a zoom render may allocate (iOS Safari refuses bigger ones)
+      pdfMaxCanvasPixels: options.pdfMaxCanvasPixels || 16777216,
+      
+      // Encrypted PDFs: a known password, and/or async (reason) => password | null | undefined
+      // (undefined falls back to the built-in dialog, null gives up)
+      password: options.password || null,
+      onPasswordRequest: options.onPasswordRequest || null,
       
       // Zoom
       enableZoom: options.enableZoom !== false,
@@ -67,11 +136,24 @@ export class SimsekBook {
       
       // Bookmarks
       enableBookmarks: options.enableBookmarks !== false,
-      bookId: options.bookId || this._generateBookId(),
+      bookId: options.bookId || this._generateBookId(options.pages),
+      
+      // Bookmark storage: 'local', 'session', 'indexeddb' or an adapter with load()/save()
+      bookmarkStorage: options.bookmarkStorage || 'local',
       
       // Thumbnails
       enableThumbnails: options.enableThumbnails !== false,
       
+      // Table of contents: read from the PDF outline, or [{ title, page, items }] for any book
+      enableToc: options.enableToc !== false,
+      toc: options.toc || null,
+      
+      // Full-text search (PDF books)
+      enableSearch: options.enableSearch !== false,
+      
+      // Selectable text over PDF pages, active while zoomed in or in text select mode
+      textLayer: options.textLayer || false,
+      
       // Keyboard
       enableKeyboard: options.enableKeyboard !== false,
       
@@ -85,9 +167,27 @@ export class SimsekBook {
       autoPlay: options.autoPlay || false,
       autoPlayInterval: options.autoPlayInterval || 5000,
       
+      // Display: 'double' (two-page spreads), 'single' or 'auto' (by container aspect ratio)
+      display: options.display || 'double',
+      
       // RTL (Right-to-Left)
       rtl: options.rtl || false,
       
+      // Orientation: 'horizontal' (side spine) or 'vertical' (top-bound, e.g. wall calendars)
+      orientation: options.orientation || 'horizontal',
+      
+      // Navigation guard: (fromPage, toPage, direction) => false | pageNumber | Promise
+      beforeFlip: options.beforeFlip || null,
+      
+      // Deep linking: true or { mode: 'hash' | 'query', param: 'page', history: false }
+      urlSync: options.urlSync || false,
+      
+      // Continue where the reader left off: true (restore silently) or 'prompt' (ask first)
+      resumeReading: options.resumeReading || false,
+      
+      // Live sync between tabs showing the same book: true or { position: true }
+      syncTabs: options.syncTabs || false,
+      
       // Callbacks
       onPageFlip: options.onPageFlip || null,
       onZoom: options.onZoom || null,
@@ -100,56 +200,209 @@ export class SimsekBook {
     
     // State
     this.isReady = false;
+    this.isLoading = false;
+    this.isInitialized = false;
+    this.isDestroyed = false;
     this.isFullscreen = false;
     this.autoPlayTimer = null;
     this.pageContents = [];
+    this.thumbnailSources = [];
     
     // Modules
     this.pageFlip = null;
     this.pdfLoader = null;
+    this.pdfRenderQueue = null;
+    this.pdfPageHosts = new Map();
     this.imageGallery = null;
     this.audioManager = null;
     this.zoomController = null;
     this.bookmarkManager = null;
     this.thumbnailPanel = null;
+    this.tocPanel = null;
+    this.pdfSearch = null;
+    this.searchPanel = null;
+    this.textLayer = null;
     this.keyboardNav = null;
+    this.urlSync = null;
+    this.resumePrompt = null;
+    this.passwordPrompt = null;
+    this.passwordErrorState = null;
+    this.bookmarkPanel = null;
+    this.isBookmarkPanelOpen = false;
+    this.searchResults = [];
+    this.activeSearchIndex = -1;
+    this.searchController = null;
+    this.isTextSelectMode = false;
+    this.hiResTimer = null;
+    this.hiResController = null;
+    this.hiResHosts = new Set();
+    
+    // Legacy single-slot callbacks are registered as regular listeners
+    this._bindOptionCallbacks();
     
     // Initialize
     this._init();
   }
   
+  _bindOptionCallbacks() {
+    const { onPageFlip, onZoom, onBookmark, onReady, onError } = this.options;
+    
+    if (onPageFlip) this.on('flipend', (page) => onPageFlip(page));
+    if (onZoom) this.on('zoom', onZoom);
+    if (onBookmark) {
+      this.on('bookmarkadd', (page) => onBookmark(page, true));
+      this.on('bookmarkremove', (page) => onBookmark(page, false));
+    }
+    if (onReady) this.on('ready', onReady);
+    if (onError) this.on('error', onError);
+  }
+  
   async _init() {
     try {
-      this._setupContainer();
-      this._initModules();
-      await this._loadPages();
+      // A retry after a cancelled password prompt keeps the container and modules
+      if (!this.pageFlip) {
+        this._setupContainer();
+        this._initModules();
+      }
+      
+      // Deep links open the book on the page named in the URL, otherwise resume reading
+      const linkedPage = this.urlSync ? this.urlSync.getPage() : null;
+      const resumePage = linkedPage === null ? this._getResumePage() : null;
+      const startPage = linkedPage !== null ? linkedPage : this._getResumeStartPage(resumePage);
+      
+      this.isLoading = true;
+      await this._loadPages(startPage);
+      this.isLoading = false;
+      
       this._setupControls();
       this._setupTouchEvents();
       this._setupFullscreen();
+      this.isInitialized = true;
+      this._offerResume(resumePage);
       
       this.isReady = true;
-      
-      if (this.options.onReady) {
-        this.options.onReady(this);
-      }
+      this.emit('ready', this);
       
       // Auto-play
       if (this.options.autoPlay) {
         this.startAutoPlay();
       }
     } catch (error) {
+      this.isLoading = false;
       console.error('SimsekBook initialization error:', error);
-      if (this.options.onError) {
-        this.options.onError(error);
-      }
+      this.emit('error', error);
     }
   }
   
-  _generateBookId() {
-    const pages = this.options?.pages;
-    if (typeof pages === 'string') {
-      return pages.replace(/[^a-zA-Z0-9]/g, '_');
+  _getResumePage() {
+    if (!this.options.resumeReading) return null;
+    
+    // Page 0 is where a new reader starts anyway
+    const page = this.bookmarkManager.getLastReadPage();
+    return page ? page : null;
+  }
+  
+  _getResumeStartPage(resumePage) {
+    // With the prompt the reader decides, the book opens at the start meanwhile
+    if (resumePage === null || this.options.resumeReading === 'prompt') return 0;
+    return resumePage;
+  }
+  
+  _offerResume(resumePage) {
+    if (resumePage === null || this.options.resumeReading !== 'prompt') return;
+    if (resumePage >= this.getTotalPages()) return;
+    
+    this._showResumePrompt(resumePage);
+  }
+  
+  _showResumePrompt(page) {
+    this._hideResumePrompt();
+    
+    const prompt = document.createElement('div');
+    prompt.className = 'simsek-resume-prompt';
+    prompt.setAttribute('role', 'dialog');
+    prompt.style.cssText = `
+      position: absolute;
+      left: 50%;
+      bottom: 70px;
+      transform: translateX(-50%);
+      display: flex;
+      align-items: center;
+      gap: 10px;
+      padding: 10px 15px;
+      background: var(--simsek-controls-bg, rgba(0,0,0,0.8));
+      color: var(--simsek-text-light, #fff);
+      border-radius: 6px;
+      font-size: 14px;
+      z-index: 1001;
+      white-space: nowrap;
+    `;
+    
+    const text = document.createElement('span');
+    text.textContent = `Continue reading from page ${page + 1}?`;
+    
+    const continueBtn = this._createButton('Continue', 'Continue reading', () => {
+      this._hideResumePrompt();
+      this.goToPage(page);
+    });
+    continueBtn.classList.add('simsek-resume-continue');
+    
+    const restartBtn = this._createButton('Start over', 'Start from the beginning', () => {
+      this._hideResumePrompt();
+    });
+    restartBtn.classList.add('simsek-resume-restart');
+    
+    // Text buttons, not the square icon buttons of the control bar
+    [continueBtn, restartBtn].forEach((btn) => {
+      btn.style.width = 'auto';
+      btn.style.padding = '0 12px';
+      btn.style.fontSize = '13px';
+    });
+    
+    prompt.appendChild(text);
+    prompt.appendChild(continueBtn);
+    prompt.appendChild(restartBtn);
+    this.container.appendChild(prompt);
+    this.resumePrompt = prompt;
+  }
+  
+  _hideResumePrompt() {
+    if (!this.resumePrompt) return;
+    
+    this.resumePrompt.remove();
+    this.resumePrompt = null;
+  }
+  
+  /**
+   * Derive a stable book id from the pages source
+   * Called while this.options is still being built, so the source is passed in.
+   * @param {*} pages - Pages option
+   * @returns {string}
+   */
+  _generateBookId(pages) {
+    if (pages && pages.type === 'pdf') {
+      pages = pages.url || pages.file;
+    }
+    if (typeof pages === 'string' && !pages.startsWith('data:')) {
+      // Signed URLs change their query on every visit, the book stays the same
+      return pages.split(/[?#]/)[0].replace(/[^a-zA-Z0-9]/g, '_');
+    }
+    if (typeof File !== 'undefined' && pages instanceof File) {
+      return `${pages.name}_${pages.size}`.replace(/[^a-zA-Z0-9]/g, '_');
+    }
+    if (Array.isArray(pages) && pages.length > 0 && pages.every((page) => typeof page === 'string')) {
+      // Image books are identified by their page list, hashed to keep storage keys short
+      const key = pages.map((page) => page.split(/[?#]/)[0]).join('\n');
+      let hash = 0x811c9dc5;
+      for (let i = 0; i < key.length; i++) {
+        hash = Math.imul(hash ^ key.charCodeAt(i), 0x01000193);
+      }
+      return `images_${pages.length}_${(hash >>> 0).toString(36)}`;
     }
+    
+    // Blobs, raw data and elements have nothing stable to derive an ID from
+    console.warn('SimsekBook: Pass a bookId to keep bookmarks and the reading position of this book across visits');
+    
     // Use crypto.randomUUID if available, otherwise fallback to timestamp + random
     if (typeof crypto !== 'undefined' && crypto.randomUUID) {
       return `book_${crypto.randomUUID()}`;
@@ -229,33 +482,91 @@ export class SimsekBook {
     this.audioManager = new AudioManager({
       enabled: this.options.enableSound,
       volume: this.options.soundVolume,
-      pageFlipSound: this.options.pageFlipSound
+      pageFlipSound: this.options.pageFlipSound,
+      coverFlipSound: this.options.coverFlipSound,
+      onChange: (enabled, volume) => this.emit('soundchange', enabled, volume)
     });
     
     // Bookmark Manager
     this.bookmarkManager = new BookmarkManager({
       enabled: this.options.enableBookmarks,
       bookId: this.options.bookId,
-      onBookmark: (page, isBookmarked) => {
-        if (this.options.onBookmark) {
-          this.options.onBookmark(page, isBookmarked);
-        }
+      storage: this.options.bookmarkStorage,
+      sync: !!this.options.syncTabs,
+      onPosition: (page) => {
+        if (this.options.syncTabs.position) this.goToPage(page);
+      },
+      onBookmark: (page) => {
+        this._handleBookmarksChanged();
+        this.emit('bookmarkadd', page);
+      },
+      onRemove: (page) => {
+        this._handleBookmarksChanged();
+        this.emit('bookmarkremove', page);
+      },
+      onUpdate: (page, bookmark) => {
+        this._handleBookmarksChanged();
+        this.emit('bookmarkupdate', page, bookmark);
+      },
+      onLoad: (pages) => {
+        this._handleBookmarksChanged();
+        this.emit('bookmarksload', pages);
       }
     });
     
     // Thumbnail Panel
     this.thumbnailPanel = new ThumbnailPanel(this.container, {
       enabled: this.options.enableThumbnails,
+      rtl: this.options.rtl,
       onPageSelect: (page) => {
         this.goToPage(page);
         this.thumbnailPanel.close();
-      }
+      },
+      onOpen: () => {
+        this._closeOtherPanels('thumbnails');
+        this.emit('thumbnailsopen');
+      },
+      onClose: () => this.emit('thumbnailsclose')
     });
     this.thumbnailPanel.create();
     
+    // Table of Contents Panel
+    this.tocPanel = new TocPanel(this.container, {
+      enabled: this.options.enableToc,
+      rtl: this.options.rtl,
+      onSelect: (page) => {
+        this.goToPage(page);
+        this.closeToc();
+      },
+      onOpen: () => {
+        this._closeOtherPanels('toc');
+        this.emit('tocopen');
+      },
+      onClose: () => this.emit('tocclose')
+    });
+    this.tocPanel.create();
+    
+    // Search Panel
+    this.searchPanel = new SearchPanel(this.container, {
+      enabled: this.options.enableSearch,
+      rtl: this.options.rtl,
+      onSearch: (query, searchOptions) => this.search(query, searchOptions),
+      onSelect: (index) => this._showSearchResult(index),
+      onNext: () => this.searchNext(),
+      onPrev: () => this.searchPrev(),
+      onOpen: () => {
+        this._closeOtherPanels('search');
+        this.emit('searchopen');
+      },
+      onClose: () => this.emit('searchclose')
+    });
+    this.searchPanel.create();
+    
     // Keyboard Navigation
     this.keyboardNav = new KeyboardNav({
       enabled: this.options.enableKeyboard,
+      rtl: this.options.rtl,
+      orientation: this.options.orientation,
       onNext: () => this.nextPage(),
       onPrev: () => this.prevPage(),
       onFirst: () => this.goToPage(0),
@@ -278,46 +589,108 @@ export class SimsekBook {
       shadowIntensity: this.options.shadowIntensity,
       enableDragFlip: this.options.enableDragFlip,
       pageBackColor: this.options.pageBackColor,
-      onFlipStart: (page, direction) => {
-        this.audioManager.playPageFlip();
+      beforeFlip: this.options.beforeFlip,
+      display: this.options.display,
+      rtl: this.options.rtl,
+      orientation: this.options.orientation,
+      showCover: this.options.showCover,
+      hardCover: this.options.hardCover,
+      coverFlipDuration: this.options.coverFlipDuration,
+      getBookmark: this.options.enableBookmarks
+        ? (page) => this.bookmarkManager.get(page)
+        : null,
+      onRibbonToggle: (page) => this.bookmarkManager.toggle(page),
+      onRibbonJump: (page) => this.goToPage(page),
+      onDisplayChange: (mode) => {
+        this._updateUI();
+        this.emit('displaychange', mode);
+      },
+      onFlipStart: (page, direction, isHard, animate = true) => {
+        // Instant jumps, e.g. setState(), turn no pages to be heard
+        if (animate) {
+          if (isHard) {
+            this.audioManager.playCoverFlip();
+          } else {
+            this.audioManager.playPageFlip();
+          }
+        }
+        this.emit('flipstart', page, direction);
       },
       onFlipEnd: (page, direction) => {
         this._updateUI();
-        if (this.options.onPageFlip) {
-          this.options.onPageFlip(page);
-        }
+        this._hideResumePrompt();
+        if (this.urlSync) this.urlSync.setPage(page);
+        if (this.options.resumeReading) this.bookmarkManager.saveReadingPosition(page);
+        if (this.options.syncTabs.position) this.bookmarkManager.broadcastPosition(page);
+        this.emit('flipend', page, direction);
       }
     });
+    
+    // URL Sync (opt-in)
+    if (this.options.urlSync) {
+      const urlOptions = typeof this.options.urlSync === 'object' ? this.options.urlSync : {};
+      this.urlSync = new UrlSync({
+        ...urlOptions,
+        onNavigate: (page) => this.goToPage(page)
+      });
+    }
+  }
+  
+  /**
+   * Fetch and validate a pages source without touching the open book
+   * @param {Array|string|ArrayBuffer|Uint8Array|Blob|Object} pages
+   * @returns {Promise<Object|null>} - PDF source for PDFs, null for image arrays
+   */
+  _resolveSource(pages) {
+    if (!pages || (Array.isArray(pages) && pages.length === 0)) return Promise.resolve(null);
+    
+    // PDF check: URLs, binary data, files and { type: 'pdf' } descriptors
+    const onProgress = (loaded, total) => this.emit('loadprogress', loaded, total);
+    return resolvePdfSource(pages, { onProgress });
   }
   
-  async _loadPages() {
+  async _loadPages(startPage = 0, resolved = null) {
     const pages = this.options.pages;
     
+    // The open book is dropped only once the new source has been read
+    const pdfSource = resolved ? resolved.pdfSource : await this._resolveSource(pages);
+    
+    this._disposeSource();
+    this._hidePasswordError();
+    
     if (!pages || (Array.isArray(pages) && pages.length === 0)) {
       console.warn('SimsekBook: No pages provided');
+      this.pageFlip.loadPages([], 0);
       return;
     }
     
-    // PDF check
-    if (typeof pages === 'string' && pages.toLowerCase().endsWith('.pdf')) {
-      await this._loadPDF(pages);
+    const onProgress = (loaded, total) => this.emit('loadprogress', loaded, total);
+    
+    if (pdfSource) {
+      await this._loadPDF(pdfSource, onProgress);
     } else if (Array.isArray(pages)) {
       await this._loadImages(pages);
     }
     
     // Load pages into PageFlip
-    this.pageFlip.loadPages(this.pageContents);
+    this.pageFlip.loadPages(this.pageContents, startPage);
+    
+    // The book opens once the visible spread is drawn, other PDF pages follow on demand
+    await this._updatePdfRendering();
     
     // Setup zoom after pages are loaded
-    if (this.options.enableZoom) {
+    if (this.options.enableZoom && !this.zoomController) {
       this.zoomController = new ZoomController(this.bookContainer, {
         enabled: this.options.enableZoom,
         minZoom: this.options.zoomMin,
         maxZoom: this.options.zoomMax,
         onZoom: (level) => {
-          if (this.options.onZoom) {
-            this.options.onZoom(level);
-          }
+          this._updateTextLayerState();
+          this._scheduleHiResRender();
+          this.emit('zoom', level);
+        },
+        onPanEnd: () => {
+          if (this.options.pdfZoomTiles) this._scheduleHiResRender();
         }
       });
     }
@@ -326,144 +699,801 @@ export class SimsekBook {
     if (this.options.enableThumbnails) {
       this._loadThumbnails();
     }
+    
+    if (this.options.enableToc) {
+      await this._loadToc();
+    }
+    
+    this._updateSearchButton();
+    this._updateTextSelectButton();
+    this._renderTextLayers();
   }
   
-  async _loadPDF(url) {
-    this.pdfLoader = new PDFLoader({
-      scale: 1.5
-    });
+  async _loadToc() {
+    let items = this.options.toc || [];
     
-    try {
-      await this.pdfLoader.load(url);
-      const canvases = await this.pdfLoader.renderAllPages({
-        onProgress: (current, total) => {
-          console.log(`Loading PDF: ${current}/${total}`);
-        }
-      });
+    // A supplied toc wins over the PDF's own outline
+    const pdfLoader = this.pdfLoader;
+    if (!this.options.toc && pdfLoader) {
+      try {
+        items = this._mapOutlinePages(await pdfLoader.getOutline());
+      } catch (error) {
+        console.warn('SimsekBook: Failed to read the PDF outline:', error);
+        items = [];
+      }
       
-      this.pageContents = canvases;
-    } catch (error) {
-      console.error('Failed to load PDF:', error);
-      throw error;
+      // Another source was loaded while the outline was being read
+      if (this.pdfLoader !== pdfLoader) return;
     }
+    
+    this.tocPanel.setItems(items);
+    this.tocPanel.setActivePage(this.getCurrentPage(), this.getVisiblePages().length);
+    this._updateTocButton();
+    this.emit('tocload', this.tocPanel.getItems());
   }
   
-  async _loadImages(images) {
-    this.imageGallery = new ImageGallery({
-      lazyLoad: true,
-      preloadCount: 2
+  _updateSearchButton() {
+    // Only PDFs have text to search
+    if (this.searchBtn) {
+      this.searchBtn.style.display = this.pdfSearch ? '' : 'none';
+    }
+    if (!this.pdfSearch && this.searchPanel) {
+      this.searchPanel.close();
+    }
+  }
+  
+  _updateTextSelectButton() {
+    if (this.textSelectBtn) {
+      this.textSelectBtn.style.display = this.textLayer ? '' : 'none';
+    }
+    this._updateTextLayerState();
+  }
+  
+  _updateTextLayerState() {
+    // Text takes the pointer only when asked for, so drag-flipping keeps working
+    const zoomed = this.zoomController && this.zoomController.getZoom() > 1;
+    if (this.textLayer) {
+      this.textLayer.setActive(this.isTextSelectMode || zoomed);
+    }
+    if (this.textSelectBtn) {
+      this.textSelectBtn.setAttribute('aria-pressed', String(this.isTextSelectMode));
+      this.textSelectBtn.classList.toggle('active', this.isTextSelectMode);
+    }
+  }
+  
+  _renderTextLayers() {
+    if (!this.textLayer) return;
+    
+    // Built on demand for the pages on screen, then kept with the page
+    this.getVisiblePages().forEach((page) => {
+      const host = this.pageContents[page];
+      if (host instanceof HTMLElement && host.classList.contains('simsek-pdf-page')) {
+        this.textLayer.render(host, Number(host.dataset.pdfPage));
+      }
+    });
+  }
+  
+  _getPageForHit(hit) {
+    return this._getBookPage(hit.pageNumber);
+  }
+  
+  _getBookPage(pdfPage) {
+    // Inserted or removed pages shift book pages against PDF pages
+    return this.thumbnailSources.findIndex((source) => source.pdfPage === pdfPage);
+  }
+  
+  _mapOutlinePages(items) {
+    // The outline counts PDF pages from 0; entries of removed pages only group their children
+    return items.map((item) => {
+      const page = item.page === null ? -1 : this._getBookPage(item.page + 1);
+      return {
+        ...item,
+        page: page === -1 ? null : page,
+        items: this._mapOutlinePages(item.items)
+      };
     });
+  }
+  
+  _remapSearchResults() {
+    const activeHit = this.searchResults[this.activeSearchIndex];
     
-    await this.imageGallery.load(images);
-    this.pageContents = this.imageGallery.getAllPageContents();
+    // Hits on replaced or removed PDF pages are dropped
+    this.searchResults.forEach((hit) => {
+      hit.page = this._getPageForHit(hit);
+    });
+    this.searchResults = this.searchResults.filter((hit) => hit.page !== -1);
+    this.activeSearchIndex = this.searchResults.indexOf(activeHit);
+    
+    if (this.searchPanel) {
+      this.searchPanel.setResults(this.searchResults);
+      this.searchPanel.setActive(this.activeSearchIndex);
+    }
+    this._renderSearchHighlights();
   }
   
-  _loadThumbnails() {
-    const pages = this.options.pages;
+  _renderSearchHighlights() {
+    if (!this.pdfSearch) return;
     
-    if (Array.isArray(pages)) {
-      this.thumbnailPanel.loadThumbnails(pages, (container, index) => {
-        if (this.imageGallery) {
-          this.imageGallery._loadImage(index).then((img) => {
-            if (img) {
-              const clone = img.cloneNode(true);
-              clone.style.cssText = 'max-width: 100%; max-height: 100%; object-fit: contain;';
-              container.innerHTML = '';
-              container.appendChild(clone);
-            }
-          });
-        }
+    const activeHit = this.searchResults[this.activeSearchIndex] || null;
+    const hitsByPage = new Map();
+    this.searchResults.forEach((hit) => {
+      if (!hitsByPage.has(hit.page)) hitsByPage.set(hit.page, []);
+      hitsByPage.get(hit.page).push(hit);
+    });
+    
+    this.pageContents.forEach((content, page) => {
+      if (!(content instanceof HTMLElement) || !content.classList.contains('simsek-pdf-page')) return;
+      this.pdfSearch.renderHighlights(content, hitsByPage.get(page) || [], activeHit);
+    });
+  }
+  
+  _showSearchResult(index) {
+    const hit = this.searchResults[index];
+    if (!hit) return null;
+    
+    this.activeSearchIndex = index;
+    this._renderSearchHighlights();
+    if (this.searchPanel) {
+      this.searchPanel.setActive(index);
+    }
+    
+    // Stay on the spread if the hit is already visible
+    if (!this.getVisiblePages().includes(hit.page)) {
+      this.goToPage(hit.page);
+    }
+    return hit;
+  }
+  
+  _updateTocButton() {
+    // Books without a table of contents don't get an empty panel
+    if (this.tocBtn) {
+      this.tocBtn.style.display = this.tocPanel.hasItems() ? '' : 'none';
+    }
+  }
+  
+  _disposeSource() {
+    this.clearSearch();
+    if (this.textLayer) {
+      this.textLayer.destroy();
+      this.textLayer = null;
+    }
+    if (this.pdfSearch) {
+      this.pdfSearch.destroy();
+      this.pdfSearch = null;
+    }
+    this._clearHiResPages();
+    if (this.pdfRenderQueue) {
+      this.pdfRenderQueue.destroy();
+      this.pdfRenderQueue = null;
+    }
+    this.pdfPageHosts.clear();
+    if (this.pdfLoader) {
+      this.pdfLoader.destroy();
+      this.pdfLoader = null;
+    }
+    if (this.imageGallery) {
+      this.imageGallery.destroy();
+      this.imageGallery = null;
+    }
+    
+    this.pageContents = [];
+    this.thumbnailSources = [];
+  }
+  
+  async _loadPDF(source, onProgress) {
+    this.pdfLoader = new PDFLoader({
+      scale: 1.5,
+      cacheMaxBytes: this.options.pdfCacheMaxBytes,
+      cacheMaxPixels: this.options.pdfCacheMaxPixels,
+      onCacheEvict: (pdfPage, canvas) => this._handlePdfCanvasEvicted(pdfPage, canvas)
+    });
+    
+    try {
+      await this.pdfLoader.load(source, {
+        onProgress,
+        password: this.options.password,
+        onPassword: (reason) => this._requestPassword(reason)
       });
-    } else if (this.pdfLoader) {
       const numPages = this.pdfLoader.getNumPages();
-      const pageNumbers = Array.from({ length: numPages }, (_, i) => i);
+      const pdfPages = Array.from({ length: numPages }, (_, i) => i + 1);
       
-      this.thumbnailPanel.loadThumbnails(pageNumbers, async (container, index) => {
-        try {
-          const canvas = await this.pdfLoader.createThumbnail(index + 1, 100);
-          container.innerHTML = '';
-          container.appendChild(canvas);
-        } catch (e) {
-          container.innerHTML = `<span style="color: #999;">Page ${index + 1}</span>`;
-        }
+      // Pages start as placeholders and are rendered around the reader
+      this.pageContents = pdfPages.map((pdfPage) => this._createPdfPageHost(pdfPage));
+      this.thumbnailSources = pdfPages.map((pdfPage) => ({ pdfPage }));
+      this.pdfRenderQueue = new PDFRenderQueue(this.pdfLoader, {
+        scale: 1.5,
+        onRender: (pdfPage, canvas) => this._handlePdfPageRendered(pdfPage, canvas),
+        onError: (error, pdfPage) => this._handlePdfPageError(pdfPage)
       });
+      this.pdfSearch = new PDFSearch(this.pdfLoader);
+      if (this.options.textLayer) {
+        this.textLayer = new PDFTextLayer(this.pdfLoader);
+      }
+    } catch (error) {
+      console.error('Failed to load PDF:', error);
+      // destroy() cancels an open password dialog too, that needs no error screen
+      if (error.code === 'PDF_PASSWORD_CANCELLED' && !this.isDestroyed) {
+        this._showPasswordError();
+        this.emit('passwordcancel');
+      }
+      throw error;
     }
   }
   
-  _setupControls() {
-    // Left navigation button
-    const prevBtn = this._createButton('❮', 'Previous page', () => this.prevPage());
-    prevBtn.className = 'simsek-btn simsek-btn-nav simsek-btn-prev';
+  async _requestPassword(reason) {
+    this.emit('passwordrequest', reason);
     
-    // Thumbnails button
-    const thumbBtn = this._createButton('📑', 'Thumbnails', () => this.toggleThumbnails());
-    thumbBtn.className = 'simsek-btn simsek-btn-thumb';
+    // The hook may supply the password itself; undefined leaves it to the dialog
+    if (this.options.onPasswordRequest) {
+      const password = await this.options.onPasswordRequest(reason);
+      if (password !== undefined) return password;
+    }
     
-    // Bookmarks button
-    const bookmarkBtn = this._createButton('🔖', 'Toggle bookmark', () => this.toggleBookmark());
-    bookmarkBtn.className = 'simsek-btn simsek-btn-bookmark';
+    if (!this.passwordPrompt) {
+      this.passwordPrompt = new PasswordPrompt(this.container);
+    }
+    return this.passwordPrompt.ask(reason);
+  }
+  
+  _showPasswordError() {
+    this._hidePasswordError();
     
-    // Page indicator
-    this.pageIndicator = document.createElement('span');
-    this.pageIndicator.className = 'simsek-page-indicator';
-    this.pageIndicator.style.cssText = `
+    const state = document.createElement('div');
+    state.className = 'simsek-error-state';
+    state.setAttribute('role', 'alert');
+    state.style.cssText = `
+      position: absolute;
+      top: 0;
+      left: 0;
+      width: 100%;
+      height: 100%;
+      display: flex;
+      flex-direction: column;
+      align-items: center;
+      justify-content: center;
+      gap: 12px;
+      padding: 20px;
+      box-sizing: border-box;
+      background: var(--simsek-book-bg, #2a2a2a);
       color: var(--simsek-text-light, #fff);
-      font-size: 14px;
-      min-width: 80px;
       text-align: center;
+      z-index: 1001;
     `;
-    this._updatePageIndicator();
     
-    // Zoom buttons
-    const zoomOutBtn = this._createButton('−', 'Zoom out', () => this.zoomOut());
-    zoomOutBtn.className = 'simsek-btn simsek-btn-zoom';
+    const title = document.createElement('div');
+    title.className = 'simsek-error-title';
+    title.style.cssText = 'font-size: 18px; font-weight: bold;';
+    title.textContent = '🔒 This PDF is password protected';
     
-    const zoomInBtn = this._createButton('+', 'Zoom in', () => this.zoomIn());
-    zoomInBtn.className = 'simsek-btn simsek-btn-zoom';
+    const message = document.createElement('div');
+    message.className = 'simsek-error-message';
+    message.style.cssText = 'font-size: 14px; opacity: 0.8;';
+    message.textContent = 'No password was entered, so the document could not be opened.';
     
-    // Sound button
-    this.soundBtn = this._createButton('🔊', 'Toggle sound', () => this.toggleSound());
-    this.soundBtn.className = 'simsek-btn simsek-btn-sound';
+    const retryBtn = this._createButton('Enter password', 'Enter the password again', () => {
+      this._retryLoad();
+    });
+    retryBtn.classList.add('simsek-error-retry');
+    // Text button, not the square icon buttons of the control bar
+    retryBtn.style.width = 'auto';
+    retryBtn.style.padding = '0 16px';
+    retryBtn.style.fontSize = '14px';
     
-    // Fullscreen button
-    const fullscreenBtn = this._createButton('⛶', 'Fullscreen', () => this.toggleFullscreen());
-    fullscreenBtn.className = 'simsek-btn simsek-btn-fullscreen';
+    state.appendChild(title);
+    state.appendChild(message);
+    state.appendChild(retryBtn);
+    this.container.appendChild(state);
+    this.passwordErrorState = state;
+  }
+  
+  _hidePasswordError() {
+    if (!this.passwordErrorState) return;
     
-    // Right navigation button
-    const nextBtn = this._createButton('❯', 'Next page', () => this.nextPage());
-    nextBtn.className = 'simsek-btn simsek-btn-nav simsek-btn-next';
+    this.passwordErrorState.remove();
+    this.passwordErrorState = null;
+  }
+  
+  _retryLoad() {
+    this._hidePasswordError();
     
-    // Add to controls
-    this.controlsArea.appendChild(prevBtn);
-    this.controlsArea.appendChild(thumbBtn);
-    this.controlsArea.appendChild(bookmarkBtn);
-    this.controlsArea.appendChild(zoomOutBtn);
-    this.controlsArea.appendChild(this.pageIndicator);
-    this.controlsArea.appendChild(zoomInBtn);
-    this.controlsArea.appendChild(this.soundBtn);
-    this.controlsArea.appendChild(fullscreenBtn);
-    this.controlsArea.appendChild(nextBtn);
+    // The first load never finished, so the controls are still to be built
+    if (!this.isInitialized) {
+      this._init();
+      return;
+    }
     
-    // Navigation arrows on book area
-    this._createNavigationArrows();
+    this.load(this.options.pages, {
+      bookId: this.options.bookId,
+      toc: this.options.toc,
+      password: this.options.password
+    });
   }
   
-  _createButton(text, title, onClick) {
-    const btn = document.createElement('button');
-    btn.textContent = text;
-    btn.title = title;
-    btn.setAttribute('aria-label', title);
+  _createPdfPageHost(pdfPage) {
+    // Overlays such as search highlights are laid over the canvas in percentages
+    const host = document.createElement('div');
+    host.className = 'simsek-pdf-page';
+    host.dataset.pdfPage = pdfPage;
+    host.style.cssText = `
+      position: relative;
+      width: 100%;
+      height: 100%;
+    `;
     
-    btn.style.cssText = `
-      background: var(--simsek-btn-bg, rgba(255,255,255,0.1));
-      border: none;
-      color: var(--simsek-text-light, #fff);
-      width: 36px;
-      height: 36px;
-      border-radius: 4px;
-      cursor: pointer;
-      font-size: 16px;
-      display: flex;
+    host.appendChild(this._createPdfPlaceholder());
+    this.pdfPageHosts.set(pdfPage, host);
+    return host;
+  }
+  
+  _createPdfPlaceholder() {
+    const placeholder = document.createElement('div');
+    placeholder.className = 'simsek-pdf-placeholder';
+    placeholder.style.cssText = `
+      position: absolute;
+      top: 0;
+      left: 0;
+      width: 100%;
+      height: 100%;
+      display: flex;
+      align-items: center;
+      justify-content: center;
+      background: var(--simsek-placeholder-bg, #f0f0f0);
+      color: var(--simsek-text-muted, #999);
+      font-size: 12px;
+    `;
+    placeholder.innerHTML = `
+      <div class="simsek-spinner" style="
+        width: 32px;
+        height: 32px;
+        border: 3px solid var(--simsek-spinner-color, #ddd);
+        border-top-color: var(--simsek-primary, #007bff);
+        border-radius: 50%;
+        animation: simsek-spin 1s linear infinite;
+      "></div>
+    `;
+    
+    return placeholder;
+  }
+  
+  _handlePdfPageRendered(pdfPage, canvas) {
+    const host = this.pdfPageHosts.get(pdfPage);
+    if (!host) return;
+    
+    const placeholder = host.querySelector(':scope > .simsek-pdf-placeholder');
+    if (placeholder) placeholder.remove();
+    
+    // Canvas goes under the overlays already on the page
+    canvas.classList.add('simsek-pdf-canvas');
+    host.insertBefore(canvas, host.firstChild);
+    
+    // A page that arrives while zoomed in gets its sharp render too
+    if (this.getZoom() > 1) {
+      this._scheduleHiResRender();
+    }
+  }
+  
+  _handlePdfCanvasEvicted(pdfPage, canvas) {
+    const host = this.pdfPageHosts.get(pdfPage);
+    if (!host || canvas.parentNode !== host || !this.pdfRenderQueue) return;
+    
+    // A visible page keeps its canvas, unloading it would only trigger a re-render
+    const isVisible = this.getVisiblePages().some((page) =>
+      this.thumbnailSources[page] && this.thumbnailSources[page].pdfPage === pdfPage);
+    if (isVisible) return;
+    
+    // Detached here so the cache can release its pixels; rendered again when the reader gets close
+    canvas.replaceWith(this._createPdfPlaceholder());
+    this.pdfRenderQueue.forget(pdfPage);
+  }
+  
+  _handlePdfPageError(pdfPage) {
+    const host = this.pdfPageHosts.get(pdfPage);
+    const placeholder = host && host.querySelector(':scope > .simsek-pdf-placeholder');
+    if (placeholder) {
+      placeholder.textContent = `Page ${pdfPage} could not be rendered`;
+    }
+  }
+  
+  _getPdfRenderTargets() {
+    const visible = this.getVisiblePages();
+    if (visible.length === 0) return { visible: [], targets: [] };
+    
+    const first = Math.min(...visible);
+    const last = Math.max(...visible);
+    const lookAhead = Math.max(0, this.options.pdfLookAhead);
+    
+    // Visible pages first, then outwards, the page after before the page before
+    const pages = visible.slice();
+    for (let distance = 1; distance <= lookAhead; distance++) {
+      pages.push(last + distance, first - distance);
+    }
+    
+    const toPdfPage = (page) => this.thumbnailSources[page] && this.thumbnailSources[page].pdfPage;
+    return {
+      visible: visible.map(toPdfPage).filter(Boolean),
+      targets: pages.map(toPdfPage).filter(Boolean)
+    };
+  }
+  
+  /**
+   * Point the render queue at the pages around the reader
+   * @returns {Promise<boolean>} - Resolves once the visible pages are rendered
+   */
+  _updatePdfRendering() {
+    if (!this.pdfRenderQueue) return Promise.resolve(true);
+    
+    const { visible, targets } = this._getPdfRenderTargets();
+    if (visible.length > 0) {
+      this.pdfLoader.setCurrentPage(visible[0]);
+    }
+    this.pdfRenderQueue.setTargets(targets);
+    return this.pdfRenderQueue.whenRendered(visible);
+  }
+  
+  _scheduleHiResRender() {
+    if (!this.pdfRenderQueue || !this.options.pdfZoomRender) return;
+    
+    clearTimeout(this.hiResTimer);
+    this.hiResTimer = null;
+    
+    // Zooming out drops the sharp renders at once, zooming in waits for zoom and pan to settle
+    if (this.getZoom() <= 1) {
+      this._renderHiResPages();
+      return;
+    }
+    this.hiResTimer = setTimeout(() => {
+      this.hiResTimer = null;
+      this._renderHiResPages();
+    }, 250);
+  }
+  
+  async _renderHiResPages() {
+    if (this.hiResController) {
+      this.hiResController.abort();
+      this.hiResController = null;
+    }
+    
+    const zoom = this.getZoom();
+    const visible = zoom > 1 ? this._getPdfRenderTargets().visible : [];
+    
+    // Pages that left the screen go back to their base render
+    this.hiResHosts.forEach((host) => {
+      if (!visible.includes(Number(host.dataset.pdfPage))) {
+        this._clearHiResPage(host);
+      }
+    });
+    if (visible.length === 0) return;
+    
+    const controller = new AbortController();
+    this.hiResController = controller;
+    
+    for (const pdfPage of visible) {
+      if (controller.signal.aborted) return;
+      await this._renderHiResPage(pdfPage, zoom, controller.signal);
+    }
+    
+    if (this.hiResController === controller) {
+      this.hiResController = null;
+    }
+  }
+  
+  async _renderHiResPage(pdfPage, zoom, signal) {
+    const host = this.pdfPageHosts.get(pdfPage);
+    const base = host && host.querySelector(':scope > .simsek-pdf-canvas');
+    if (!base || !host.clientWidth) return;
+    
+    const region = this.options.pdfZoomTiles
+      ? this._getVisiblePageRegion(host)
+      : { x: 0, y: 0, width: 1, height: 1 };
+    if (!region) return;
+    
+    // The base canvas tells the page size, the host its size on screen before zoom
+    const baseScale = this.pdfRenderQueue.options.scale;
+    const pageWidth = base.width / baseScale;
+    const pageHeight = base.height / baseScale;
+    let scale = (host.clientWidth / pageWidth) * zoom * (window.devicePixelRatio || 1);
+    
+    const pixels = pageWidth * pageHeight * scale * scale * region.width * region.height;
+    if (pixels > this.options.pdfMaxCanvasPixels) {
+      scale *= Math.sqrt(this.options.pdfMaxCanvasPixels / pixels);
+    }
+    
+    // Not sharper than what is already shown
+    if (scale <= baseScale) {
+      this._clearHiResPage(host);
+      return;
+    }
+    
+    const key = [scale.toFixed(3), region.x, region.y, region.width, region.height].join(':');
+    const current = host.querySelector(':scope > .simsek-pdf-hires');
+    if (current && current.dataset.renderKey === key) return;
+    
+    let canvas;
+    try {
+      canvas = await this.pdfLoader.renderPage(pdfPage, {
+        scale,
+        region: this.options.pdfZoomTiles ? region : null,
+        cache: false,
+        signal
+      });
+    } catch (error) {
+      if (!signal.aborted) {
+        console.warn(`Failed to render PDF page ${pdfPage} for zoom:`, error);
+      }
+      return;
+    }
+    
+    if (signal.aborted || this.pdfPageHosts.get(pdfPage) !== host) {
+      CanvasCache.release(canvas);
+      return;
+    }
+    
+    canvas.className = 'simsek-pdf-hires';
+    canvas.dataset.renderKey = key;
+    canvas.style.cssText = `
+      position: absolute;
+      left: ${region.x * 100}%;
+      top: ${region.y * 100}%;
+      width: ${region.width * 100}%;
+      height: ${region.height * 100}%;
+      pointer-events: none;
+    `;
+    
+    // Swapped in only once drawn, so the page never flashes blank
+    base.after(canvas);
+    this.hiResHosts.add(host);
+    if (current) {
+      current.remove();
+      CanvasCache.release(current);
+    }
+  }
+  
+  _getVisiblePageRegion(host) {
+    const page = host.getBoundingClientRect();
+    const view = this.bookContainer.getBoundingClientRect();
+    if (!page.width || !page.height) return null;
+    
+    const left = Math.max(page.left, view.left);
+    const right = Math.min(page.right, view.right);
+    const top = Math.max(page.top, view.top);
+    const bottom = Math.min(page.bottom, view.bottom);
+    if (right <= left || bottom <= top) return null;
+    
+    // Widened to an eighth of the page so small pans reuse the same render
+    const floor = (value) => Math.max(0, Math.floor(value * 8) / 8);
+    const ceil = (value) => Math.min(1, Math.ceil(value * 8) / 8);
+    const x = floor((left - page.left) / page.width);
+    const y = floor((top - page.top) / page.height);
+    
+    return {
+      x,
+      y,
+      width: ceil((right - page.left) / page.width) - x,
+      height: ceil((bottom - page.top) / page.height) - y
+    };
+  }
+  
+  _clearHiResPage(host) {
+    const canvas = host.querySelector(':scope > .simsek-pdf-hires');
+    if (canvas) {
+      canvas.remove();
+      CanvasCache.release(canvas);
+    }
+    this.hiResHosts.delete(host);
+  }
+  
+  _clearHiResPages() {
+    clearTimeout(this.hiResTimer);
+    this.hiResTimer = null;
+    if (this.hiResController) {
+      this.hiResController.abort();
+      this.hiResController = null;
+    }
+    
+    this.hiResHosts.forEach((host) => this._clearHiResPage(host));
+  }
+  
+  async _loadImages(images) {
+    this.imageGallery = new ImageGallery({
+      lazyLoad: true,
+      preloadCount: 2
+    });
+    
+    await this.imageGallery.load(images);
+    this.pageContents = this.imageGallery.getAllPageContents();
+    this.thumbnailSources = images.map((_, i) => ({ galleryIndex: i }));
+  }
+  
+  _loadThumbnails() {
+    this.thumbnailPanel.loadThumbnails(this.thumbnailSources, (container, index) => {
+      this._renderThumbnail(container, index);
+    });
+  }
+  
+  async _renderThumbnail(container, index) {
+    const source = this.thumbnailSources[index];
+    if (!source) return;
+    
+    if (source.pdfPage && this.pdfLoader) {
+      try {
+        const canvas = await this.pdfLoader.createThumbnail(source.pdfPage, 100);
+        container.innerHTML = '';
+        container.appendChild(canvas);
+      } catch (e) {
+        container.innerHTML = `<span style="color: #999;">Page ${index + 1}</span>`;
+      }
+    } else if (source.galleryIndex !== undefined && this.imageGallery) {
+      try {
+        const img = await this.imageGallery._loadImage(source.galleryIndex);
+        if (img) {
+          const clone = img.cloneNode(true);
+          clone.style.cssText = 'max-width: 100%; max-height: 100%; object-fit: contain;';
+          container.innerHTML = '';
+          container.appendChild(clone);
+        }
+      } catch (e) {
+        container.innerHTML = `<span style="color: #999;">Page ${index + 1}</span>`;
+      }
+    } else {
+      this._renderContentThumbnail(container, source.content);
+    }
+  }
+  
+  _renderContentThumbnail(container, content) {
+    container.innerHTML = '';
+    
+    if (typeof content === 'string') {
+      if (content.startsWith('<')) {
+        container.innerHTML = content;
+      } else {
+        const img = document.createElement('img');
+        img.src = content;
+        img.style.cssText = 'max-width: 100%; max-height: 100%; object-fit: contain;';
+        container.appendChild(img);
+      }
+    } else if (content instanceof HTMLCanvasElement) {
+      // Canvas clones lose their bitmap, copy the pixels instead
+      const copy = document.createElement('canvas');
+      copy.width = content.width;
+      copy.height = content.height;
+      copy.getContext('2d').drawImage(content, 0, 0);
+      copy.style.cssText = 'max-width: 100%; max-height: 100%;';
+      container.appendChild(copy);
+    } else if (content instanceof HTMLElement) {
+      const clone = content.cloneNode(true);
+      clone.style.maxWidth = '100%';
+      clone.style.maxHeight = '100%';
+      container.appendChild(clone);
+    }
+  }
+  
+  _handlePagesChanged() {
+    if (this.options.enableThumbnails) {
+      this._loadThumbnails();
+    }
+    this._handleBookmarksChanged();
+    if (this.searchResults.length > 0) {
+      this._remapSearchResults();
+    }
+    // Outline entries follow their PDF pages to the new positions
+    if (this.options.enableToc && !this.options.toc && this.pdfLoader) {
+      this._loadToc();
+    }
+    this._updateUI();
+    this.emit('pageschange', this.getTotalPages());
+  }
+  
+  _setupControls() {
+    const rtl = this.options.rtl;
+    
+    // Left navigation button (goes forward in RTL books)
+    const prevBtn = rtl
+      ? this._createButton('❮', 'Next page', () => this.nextPage())
+      : this._createButton('❮', 'Previous page', () => this.prevPage());
+    prevBtn.className = `simsek-btn simsek-btn-nav ${rtl ? 'simsek-btn-next' : 'simsek-btn-prev'}`;
+    
+    // Thumbnails button
+    const thumbBtn = this._createButton('📑', 'Thumbnails', () => this.toggleThumbnails());
+    thumbBtn.className = 'simsek-btn simsek-btn-thumb';
+    
+    // Table of contents button
+    this.tocBtn = this._createButton('📖', 'Table of contents', () => this.toggleToc());
+    this.tocBtn.className = 'simsek-btn simsek-btn-toc';
+    
+    // Search button
+    this.searchBtn = this._createButton('🔍', 'Search', () => this.toggleSearch());
+    this.searchBtn.className = 'simsek-btn simsek-btn-search';
+    
+    // Text select button
+    this.textSelectBtn = this._createButton('T', 'Select text', () => this.toggleTextSelectMode());
+    this.textSelectBtn.className = 'simsek-btn simsek-btn-text-select';
+    
+    // Bookmarks button
+    const bookmarkBtn = this._createButton('🔖', 'Toggle bookmark', () => this.toggleBookmark());
+    bookmarkBtn.className = 'simsek-btn simsek-btn-bookmark';
+    
+    // Bookmarks panel button
+    const bookmarksPanelBtn = this._createButton('📚', 'Bookmarks', () => this.toggleBookmarks());
+    bookmarksPanelBtn.className = 'simsek-btn simsek-btn-bookmarks';
+    
+    // Page indicator
+    this.pageIndicator = document.createElement('span');
+    this.pageIndicator.className = 'simsek-page-indicator';
+    this.pageIndicator.style.cssText = `
+      color: var(--simsek-text-light, #fff);
+      font-size: 14px;
+      min-width: 80px;
+      text-align: center;
+    `;
+    this._updatePageIndicator();
+    
+    // Zoom buttons
+    const zoomOutBtn = this._createButton('−', 'Zoom out', () => this.zoomOut());
+    zoomOutBtn.className = 'simsek-btn simsek-btn-zoom';
+    
+    const zoomInBtn = this._createButton('+', 'Zoom in', () => this.zoomIn());
+    zoomInBtn.className = 'simsek-btn simsek-btn-zoom';
+    
+    // Sound button
+    this.soundBtn = this._createButton('🔊', 'Toggle sound', () => this.toggleSound());
+    this.soundBtn.className = 'simsek-btn simsek-btn-sound';
+    
+    // Fullscreen button
+    const fullscreenBtn = this._createButton('⛶', 'Fullscreen', () => this.toggleFullscreen());
+    fullscreenBtn.className = 'simsek-btn simsek-btn-fullscreen';
+    
+    // Right navigation button (goes back in RTL books)
+    const nextBtn = rtl
+      ? this._createButton('❯', 'Previous page', () => this.prevPage())
+      : this._createButton('❯', 'Next page', () => this.nextPage());
+    nextBtn.className = `simsek-btn simsek-btn-nav ${rtl ? 'simsek-btn-prev' : 'simsek-btn-next'}`;
+    
+    // Add to controls
+    this.controlsArea.appendChild(prevBtn);
+    this.controlsArea.appendChild(thumbBtn);
+    if (this.options.enableToc) {
+      this.controlsArea.appendChild(this.tocBtn);
+      this._updateTocButton();
+    }
+    if (this.options.enableSearch) {
+      this.controlsArea.appendChild(this.searchBtn);
+      this._updateSearchButton();
+    }
+    if (this.options.textLayer) {
+      this.controlsArea.appendChild(this.textSelectBtn);
+      this._updateTextSelectButton();
+    }
+    this.controlsArea.appendChild(bookmarkBtn);
+    if (this.options.enableBookmarks) {
+      this.controlsArea.appendChild(bookmarksPanelBtn);
+    }
+    this.controlsArea.appendChild(zoomOutBtn);
+    this.controlsArea.appendChild(this.pageIndicator);
+    this.controlsArea.appendChild(zoomInBtn);
+    this.controlsArea.appendChild(this.soundBtn);
+    this.controlsArea.appendChild(fullscreenBtn);
+    this.controlsArea.appendChild(nextBtn);
+    
+    // Navigation arrows on book area
+    this._createNavigationArrows();
+  }
+  
+  _createButton(text, title, onClick) {
+    const btn = document.createElement('button');
+    btn.textContent = text;
+    btn.title = title;
+    btn.setAttribute('aria-label', title);
+    
+    btn.style.cssText = `
+      background: var(--simsek-btn-bg, rgba(255,255,255,0.1));
+      border: none;
+      color: var(--simsek-text-light, #fff);
+      width: 36px;
+      height: 36px;
+      border-radius: 4px;
+      cursor: pointer;
+      font-size: 16px;
+      display: flex;
       align-items: center;
       justify-content: center;
       transition: background 0.2s ease;
@@ -506,7 +1536,9 @@ export class SimsekBook {
       transition: opacity 0.3s ease;
       z-index: 100;
     `;
-    leftArrow.addEventListener('click', () => this.prevPage());
+    leftArrow.addEventListener('click', () => {
+      this.options.rtl ? this.nextPage() : this.prevPage();
+    });
     
     // Right arrow
     const rightArrow = document.createElement('div');
@@ -531,7 +1563,9 @@ export class SimsekBook {
       transition: opacity 0.3s ease;
       z-index: 100;
     `;
-    rightArrow.addEventListener('click', () => this.nextPage());
+    rightArrow.addEventListener('click', () => {
+      this.options.rtl ? this.prevPage() : this.nextPage();
+    });
     
     // Show on hover
     this.bookArea.addEventListener('mouseenter', () => {
@@ -566,12 +1600,23 @@ export class SimsekBook {
     this.bookArea.addEventListener('touchend', (e) => {
       if (this.zoomController && this.zoomController.getZoom() > 1) return;
       
+      // Touches that grabbed a page edge are turned by the drag, not a second swipe flip
+      if (this.pageFlip && this.pageFlip.isDragging) return;
+      
       const endX = e.changedTouches[0].clientX;
       const endY = e.changedTouches[0].clientY;
       const diffX = endX - startX;
       const diffY = endY - startY;
       const duration = Date.now() - startTime;
       
+      // Vertical books are turned by swiping up (next) or down (previous)
+      if (this.options.orientation === 'vertical') {
+        if (Math.abs(diffY) > Math.abs(diffX) && Math.abs(diffY) > 50 && duration < 500) {
+          diffY < 0 ? this.nextPage() : this.prevPage();
+        }
+        return;
+      }
+      
       // Swipe detection
       if (Math.abs(diffX) > Math.abs(diffY) && Math.abs(diffX) > 50 && duration < 500) {
         if (diffX > 0) {
@@ -585,8 +1630,12 @@ export class SimsekBook {
   
   _setupFullscreen() {
     document.addEventListener('fullscreenchange', () => {
-      this.isFullscreen = !!document.fullscreenElement;
+      const isFullscreen = !!document.fullscreenElement;
+      if (isFullscreen === this.isFullscreen) return;
+      
+      this.isFullscreen = isFullscreen;
       this._updateFullscreenUI();
+      this.emit('fullscreenchange', this.isFullscreen);
     });
   }
   
@@ -608,16 +1657,69 @@ export class SimsekBook {
     this._updatePageIndicator();
     
     if (this.thumbnailPanel) {
-      this.thumbnailPanel.setActivePage(this.getCurrentPage());
+      this.thumbnailPanel.setActivePage(this.getCurrentPage(), this.getVisiblePages().length);
+    }
+    
+    if (this.tocPanel) {
+      this.tocPanel.setActivePage(this.getCurrentPage(), this.getVisiblePages().length);
+    }
+    
+    // Jumping away drops renders queued for the old position
+    this._updatePdfRendering();
+    if (this.hiResHosts.size > 0 || this.getZoom() > 1) {
+      this._scheduleHiResRender();
     }
+    this._renderTextLayers();
   }
   
   _updatePageIndicator() {
     if (this.pageIndicator) {
-      const current = this.getCurrentPage() + 1;
+      const visible = this.getVisiblePages();
       const total = this.getTotalPages();
-      this.pageIndicator.textContent = `${current}-${Math.min(current + 1, total)} / ${total}`;
+      const first = (visible[0] ?? 0) + 1;
+      const last = (visible[visible.length - 1] ?? 0) + 1;
+      
+      // RTL spreads read right to left, so the range is shown mirrored
+      const range = this.options.rtl ? `${last}-${first}` : `${first}-${last}`;
+      
+      this.pageIndicator.textContent = visible.length > 1
+        ? `${range} / ${total}`
+        : `${first} / ${total}`;
+    }
+  }
+  
+  _createBookmarkPanel() {
+    this.bookmarkPanel = this.bookmarkManager.createBookmarkPanel(
+      (page) => {
+        this.goToPage(page);
+        this.closeBookmarks();
+      },
+      {
+        renderThumbnail: (container, page) => this._renderThumbnail(container, page),
+        onClose: () => this.closeBookmarks(),
+        onImport: (json) => this.importBookmarks(json)
+      }
+    );
+    this.container.appendChild(this.bookmarkPanel);
+  }
+  
+  _handleBookmarksChanged() {
+    if (this.bookmarkPanel && this.isBookmarkPanelOpen) {
+      this.bookmarkManager.refreshBookmarkPanel(this.bookmarkPanel);
     }
+    
+    // Bookmarks may load before the page flip engine exists
+    if (this.pageFlip) {
+      this.pageFlip.updateRibbons();
+    }
+  }
+  
+  _closeOtherPanels(keep) {
+    // Side panels slide over the book, only one is shown at a time
+    if (keep !== 'thumbnails' && this.thumbnailPanel) this.thumbnailPanel.close();
+    if (keep !== 'toc') this.closeToc();
+    if (keep !== 'bookmarks') this.closeBookmarks();
+    if (keep !== 'search') this.closeSearch();
   }
   
   _handleEscape() {
@@ -625,6 +1727,12 @@ export class SimsekBook {
       this.exitFullscreen();
     } else if (this.thumbnailPanel && this.thumbnailPanel.isVisible()) {
       this.thumbnailPanel.close();
+    } else if (this.tocPanel && this.tocPanel.isVisible()) {
+      this.tocPanel.close();
+    } else if (this.searchPanel && this.searchPanel.isVisible()) {
+      this.searchPanel.close();
+    } else if (this.isBookmarkPanelOpen) {
+      this.closeBookmarks();
     } else if (this.zoomController && this.zoomController.getZoom() > 1) {
       this.zoomController.reset();
     }
@@ -632,6 +1740,65 @@ export class SimsekBook {
   
   // ============ Public API ============
   
+  /**
+   * Replace the book source without destroying the instance
+   * Listeners, zoom and sound state are kept.
+   * @param {Array|string|ArrayBuffer|Blob|Object} source - Same as the `pages` option
+   *   (image URLs, PDF URL, PDF data or file, or a `{ type: 'pdf' }` descriptor)
+   * @param {Object} [loadOptions]
+   * @param {number} [loadOptions.startPage] - Page to open (0-indexed), defaults to the
+   *   last read page with `resumeReading`, otherwise 0
+   * @param {string} [loadOptions.bookId] - Bookmark storage ID, derived from the source if omitted
+   * @param {Array} [loadOptions.toc] - Table of contents for the new book, PDFs fall back to their outline
+   * @param {string} [loadOptions.password] - Password of an encrypted PDF, asked for if omitted
+   * @returns {Promise<boolean>} - False if another load is in progress or loading failed
+   */
+  async load(source, loadOptions = {}) {
+    if (this.isLoading || !this.pageFlip) return false;
+    
+    this.isLoading = true;
+    this.container.classList.add('simsek-loading');
+    this.emit('loading', source);
+    
+    try {
+      // A source that can't be fetched or isn't a PDF leaves the current book open
+      const pdfSource = await this._resolveSource(source);
+      
+      this.isReady = false;
+      this.options.pages = source;
+      this.options.bookId = loadOptions.bookId || this._generateBookId(source);
+      this.options.toc = loadOptions.toc || null;
+      this.options.password = loadOptions.password || null;
+      
+      if (this.bookmarkManager) {
+        this.bookmarkManager.setBookId(this.options.bookId);
+      }
+      
+      // Without an explicit start page the new book resumes like on first load
+      this._hideResumePrompt();
+      const resumePage = loadOptions.startPage === undefined ? this._getResumePage() : null;
+      const startPage = loadOptions.startPage !== undefined
+        ? loadOptions.startPage
+        : this._getResumeStartPage(resumePage);
+      
+      await this._loadPages(startPage, { pdfSource });
+      this._updateUI();
+      this._offerResume(resumePage);
+      if (this.urlSync) this.urlSync.setPage(this.getCurrentPage());
+      
+      this.isReady = true;
+      this.emit('ready', this);
+      return true;
+    } catch (error) {
+      console.error('SimsekBook load error:', error);
+      this.emit('error', error);
+      return false;
+    } finally {
+      this.isLoading = false;
+      this.container.classList.remove('simsek-loading');
+    }
+  }
+  
   /**
    * Go to next page
    * @returns {Promise<boolean>}
@@ -653,11 +1820,13 @@ export class SimsekBook {
   /**
    * Go to specific page
    * @param {number} pageNumber - Page number (0-indexed)
+   * @param {Object} [options]
+   * @param {boolean} [options.animate=true] - Set to false to show the page instantly
    * @returns {Promise<boolean>}
    */
-  async goToPage(pageNumber) {
+  async goToPage(pageNumber, options = {}) {
     if (!this.pageFlip) return false;
-    const result = await this.pageFlip.goToPage(pageNumber);
+    const result = await this.pageFlip.goToPage(pageNumber, options);
     this._updateUI();
     return result;
   }
@@ -678,6 +1847,117 @@ export class SimsekBook {
     return this.pageFlip ? this.pageFlip.getTotalPages() : 0;
   }
   
+  /**
+   * Get the pages currently on screen
+   * @returns {Array<number>} - Page numbers (0-indexed)
+   */
+  getVisiblePages() {
+    return this.pageFlip ? this.pageFlip.getVisiblePages() : [];
+  }
+  
+  /**
+   * Set display mode
+   * @param {string} mode - 'single', 'double' or 'auto'
+   */
+  setDisplayMode(mode) {
+    this.options.display = mode;
+    if (this.pageFlip) {
+      this.pageFlip.setDisplayMode(mode);
+    }
+  }
+  
+  /**
+   * Get the active display mode
+   * @returns {string} - 'single' or 'double'
+   */
+  getDisplayMode() {
+    return this.pageFlip ? this.pageFlip.getDisplayMode() : 'double';
+  }
+  
+  /**
+   * Insert a page while the book is open
+   * @param {number} index - Position of the new page (0-indexed)
+   * @param {string|HTMLElement} content - Image URL, HTML string or element
+   * @returns {boolean} - False if a page turn is in progress
+   */
+  insertPage(index, content) {
+    if (!this.pageFlip) return false;
+    
+    index = Math.max(0, Math.min(index, this.getTotalPages()));
+    if (!this.pageFlip.insertPage(index, content)) return false;
+    
+    this.pageContents.splice(index, 0, content);
+    this.thumbnailSources.splice(index, 0, { content });
+    if (this.bookmarkManager) {
+      this.bookmarkManager.shiftPages(index, 1);
+    }
+    
+    this._handlePagesChanged();
+    return true;
+  }
+  
+  /**
+   * Remove a page while the book is open
+   * @param {number} index - Page index (0-indexed)
+   * @returns {boolean} - False if the index is invalid or a page turn is in progress
+   */
+  removePage(index) {
+    if (!this.pageFlip || !this.pageFlip.removePage(index)) return false;
+    
+    this._releasePdfPage(this.thumbnailSources[index]);
+    this.pageContents.splice(index, 1);
+    this.thumbnailSources.splice(index, 1);
+    if (this.bookmarkManager) {
+      this.bookmarkManager.shiftPages(index, -1);
+    }
+    
+    this._handlePagesChanged();
+    return true;
+  }
+  
+  /**
+   * Replace the content of a page while the book is open
+   * @param {number} index - Page index (0-indexed)
+   * @param {string|HTMLElement} content - Image URL, HTML string or element
+   * @returns {boolean} - False if the index is invalid or a page turn is in progress
+   */
+  replacePage(index, content) {
+    if (!this.pageFlip || !this.pageFlip.replacePage(index, content)) return false;
+    
+    this._releasePdfPage(this.thumbnailSources[index]);
+    this.pageContents[index] = content;
+    this.thumbnailSources[index] = { content };
+    
+    this._handlePagesChanged();
+    return true;
+  }
+  
+  /**
+   * Append pages to the end of the book
+   * @param {Array<string|HTMLElement>|string|HTMLElement} contents - Page contents, or a single page
+   * @returns {boolean} - False if a page turn is in progress
+   */
+  appendPages(contents) {
+    contents = Array.isArray(contents) ? contents : [contents];
+    if (!this.pageFlip || !this.pageFlip.appendPages(contents)) return false;
+    
+    this.pageContents.push(...contents);
+    this.thumbnailSources.push(...contents.map((content) => ({ content })));
+    
+    this._handlePagesChanged();
+    return true;
+  }
+  
+  _releasePdfPage(source) {
+    if (!source || !source.pdfPage) return;
+    
+    // The host left the book, so a render still in flight must not land in it
+    this.pdfPageHosts.delete(source.pdfPage);
+    if (this.pdfRenderQueue) {
+      this.pdfRenderQueue.forget(source.pdfPage);
+    }
+  }
+  
   /**
    * Set zoom level
    * @param {number} level - Zoom level
@@ -749,6 +2029,71 @@ export class SimsekBook {
     return this.bookmarkManager ? this.bookmarkManager.getAll() : [];
   }
   
+  /**
+   * Export bookmarks as a versioned JSON document
+   * @returns {string} - JSON with format, version, bookId and bookmark records
+   */
+  exportBookmarks() {
+    return this.bookmarkManager ? this.bookmarkManager.exportBookmarks() : null;
+  }
+  
+  /**
+   * Import bookmarks exported by exportBookmarks()
+   * Pages beyond the end of this book are skipped.
+   * @param {string|Object} json - JSON text or parsed document
+   * @param {Object} [options]
+   * @param {string} [options.mode='merge'] - 'merge' (last edited record wins per page) or 'replace'
+   * @returns {{added: number, updated: number, skipped: number}}
+   * @throws {Error} - If the document is not a valid bookmarks export
+   */
+  importBookmarks(json, options = {}) {
+    if (!this.bookmarkManager) {
+      throw new Error('SimsekBook: Bookmarks are not available');
+    }
+    return this.bookmarkManager.importBookmarks(json, {
+      ...options,
+      totalPages: this.getTotalPages()
+    });
+  }
+  
+  /**
+   * Get a bookmark record
+   * @param {number} pageNumber - Page number (0-indexed)
+   * @returns {Object|null} - { page, title, note, color, createdAt, updatedAt } or null
+   */
+  getBookmark(pageNumber) {
+    return this.bookmarkManager ? this.bookmarkManager.get(pageNumber) : null;
+  }
+  
+  /**
+   * Update the title, note or colour of a bookmark
+   * @param {number} pageNumber - Page number (0-indexed)
+   * @param {Object} fields - { title, note, color }
+   * @returns {boolean} - False if the page is not bookmarked
+   */
+  updateBookmark(pageNumber, fields) {
+    if (!this.bookmarkManager) return false;
+    return this.bookmarkManager.update(pageNumber, fields);
+  }
+  
+  /**
+   * Get the page the reader was last on (stored with `resumeReading`)
+   * @returns {number|null} - Page number (0-indexed) or null if nothing is stored
+   */
+  getLastReadPage() {
+    return this.bookmarkManager ? this.bookmarkManager.getLastReadPage() : null;
+  }
+  
+  /**
+   * Forget the stored reading position of this book
+   */
+  clearReadingPosition() {
+    if (this.bookmarkManager) {
+      this.bookmarkManager.clearReadingPosition();
+    }
+    this._hideResumePrompt();
+  }
+  
   /**
    * Toggle thumbnails panel
    * @returns {boolean} - Panel visibility
@@ -760,12 +2105,285 @@ export class SimsekBook {
     return false;
   }
   
+  /**
+   * Open bookmarks panel
+   */
+  openBookmarks() {
+    if (!this.bookmarkManager || !this.options.enableBookmarks) return;
+    
+    if (!this.bookmarkPanel) {
+      this._createBookmarkPanel();
+    }
+    if (this.isBookmarkPanelOpen) return;
+    
+    this._closeOtherPanels('bookmarks');
+    
+    this.bookmarkManager.refreshBookmarkPanel(this.bookmarkPanel);
+    this.bookmarkPanel.style.transform = 'translateX(0)';
+    this.bookmarkPanel.classList.add('open');
+    this.isBookmarkPanelOpen = true;
+    this.emit('bookmarksopen');
+  }
+  
+  /**
+   * Close bookmarks panel
+   */
+  closeBookmarks() {
+    if (!this.bookmarkPanel || !this.isBookmarkPanelOpen) return;
+    
+    this.bookmarkPanel.style.transform = 'translateX(100%)';
+    this.bookmarkPanel.classList.remove('open');
+    this.isBookmarkPanelOpen = false;
+    this.emit('bookmarksclose');
+  }
+  
   /**
    * Toggle bookmarks panel
+   * @returns {boolean} - Panel visibility
    */
   toggleBookmarks() {
-    // Could implement a bookmarks panel similar to thumbnails
-    console.log('Bookmarks:', this.getBookmarks());
+    if (this.isBookmarkPanelOpen) {
+      this.closeBookmarks();
+    } else {
+      this.openBookmarks();
+    }
+    return this.isBookmarkPanelOpen;
+  }
+  
+  /**
+   * Open table of contents panel
+   */
+  openToc() {
+    if (this.tocPanel) {
+      this.tocPanel.open();
+    }
+  }
+  
+  /**
+   * Close table of contents panel
+   */
+  closeToc() {
+    if (this.tocPanel) {
+      this.tocPanel.close();
+    }
+  }
+  
+  /**
+   * Toggle table of contents panel
+   * @returns {boolean} - Panel visibility
+   */
+  toggleToc() {
+    if (this.tocPanel) {
+      return this.tocPanel.toggle();
+    }
+    return false;
+  }
+  
+  /**
+   * Get the table of contents
+   * @returns {Array} - [{ title, page, items }], page is 0-indexed or null for grouping entries
+   */
+  getToc() {
+    return this.tocPanel ? this.tocPanel.getItems() : [];
+  }
+  
+  /**
+   * Replace the table of contents, e.g. for image books or to override a PDF outline
+   * @param {Array|null} items - [{ title, page, items }], null restores the PDF outline
+   * @returns {Promise<void>}
+   */
+  async setToc(items) {
+    this.options.toc = items || null;
+    if (this.tocPanel && this.options.enableToc) {
+      await this._loadToc();
+    }
+  }
+  
+  /**
+   * Get the chapter being read
+   * @returns {Object|null} - { title, page, items } of the current chapter
+   */
+  getCurrentChapter() {
+    return this.tocPanel ? this.tocPanel.getActiveItem() : null;
+  }
+  
+  /**
+   * Search the text of a PDF book
+   * Pages are scanned in order and their text is cached, so repeated searches are fast.
+   * Hits are highlighted on the pages and listed in the search panel; a new search
+   * cancels the one still running.
+   * @param {string} query - Text to find
+   * @param {Object} [searchOptions]
+   * @param {boolean} [searchOptions.caseSensitive=false] - Match upper/lower case exactly
+   * @param {boolean} [searchOptions.wholeWord=false] - Only match whole words
+   * @returns {Promise<Array|null>} - [{ page, pageNumber, offset, length, text, snippet, rects }],
+   *   null if cancelled by a newer search. Not a PDF book: []
+   */
+  async search(query, searchOptions = {}) {
+    this.clearSearch();
+    if (!this.pdfSearch) return [];
+    
+    const controller = new AbortController();
+    this.searchController = controller;
+    const panel = this.searchPanel;
+    
+    if (panel && String(query ?? '').trim()) {
+      panel.setStatus('Searching…');
+    }
+    
+    const toBookHits = (hits) => hits
+      .map((hit) => ({ ...hit, page: this._getPageForHit(hit) }))
+      .filter((hit) => hit.page !== -1);
+    
+    const hits = await this.pdfSearch.search(query, {
+      caseSensitive: !!searchOptions.caseSensitive,
+      wholeWord: !!searchOptions.wholeWord,
+      signal: controller.signal,
+      onPageResults: (pageHits) => {
+        // Results show up page by page while the rest of the book is scanned
+        const bookHits = toBookHits(pageHits);
+        this.searchResults.push(...bookHits);
+        if (panel) panel.addResults(bookHits);
+        this._renderSearchHighlights();
+      },
+      onProgress: (current, total) => {
+        if (panel) panel.setStatus(`Searching… ${current}/${total}`);
+      }
+    });
+    
+    if (hits === null || this.searchController !== controller) return null;
+    this.searchController = null;
+    
+    if (panel) {
+      panel.setStatus(String(query ?? '').trim()
+        ? `${this.searchResults.length} result${this.searchResults.length === 1 ? '' : 's'}`
+        : '');
+    }
+    
+    // The first hit on or after the current page becomes active
+    const current = this.getCurrentPage();
+    const firstIndex = this.searchResults.findIndex((hit) => hit.page >= current);
+    if (this.searchResults.length > 0) {
+      this._showSearchResult(firstIndex === -1 ? 0 : firstIndex);
+    }
+    
+    const results = this.searchResults.slice();
+    this.emit('search', query, results);
+    return results;
+  }
+  
+  /**
+   * Go to the next search hit, wrapping around at the end
+   * @returns {Object|null} - The hit shown
+   */
+  searchNext() {
+    if (this.searchResults.length === 0) return null;
+    return this._showSearchResult((this.activeSearchIndex + 1) % this.searchResults.length);
+  }
+  
+  /**
+   * Go to the previous search hit, wrapping around at the start
+   * @returns {Object|null} - The hit shown
+   */
+  searchPrev() {
+    const count = this.searchResults.length;
+    if (count === 0) return null;
+    return this._showSearchResult((this.activeSearchIndex - 1 + count) % count);
+  }
+  
+  /**
+   * Get the hits of the last search
+   * @returns {Array}
+   */
+  getSearchResults() {
+    return this.searchResults.slice();
+  }
+  
+  /**
+   * Cancel a running search and remove its highlights
+   */
+  clearSearch() {
+    if (this.searchController) {
+      this.searchController.abort();
+      this.searchController = null;
+    }
+    
+    const hadResults = this.searchResults.length > 0;
+    this.searchResults = [];
+    this.activeSearchIndex = -1;
+    
+    if (hadResults) {
+      this._renderSearchHighlights();
+    }
+    if (this.searchPanel) {
+      this.searchPanel.setResults([]);
+      this.searchPanel.setStatus('');
+    }
+  }
+  
+  /**
+   * Open search panel
+   */
+  openSearch() {
+    if (this.searchPanel && this.pdfSearch) {
+      this.searchPanel.open();
+    }
+  }
+  
+  /**
+   * Close search panel
+   */
+  closeSearch() {
+    if (this.searchPanel) {
+      this.searchPanel.close();
+    }
+  }
+  
+  /**
+   * Toggle search panel
+   * @returns {boolean} - Panel visibility
+   */
+  toggleSearch() {
+    if (!this.searchPanel) return false;
+    
+    if (this.searchPanel.isVisible()) {
+      this.closeSearch();
+    } else {
+      this.openSearch();
+    }
+    return this.searchPanel.isVisible();
+  }
+  
+  /**
+   * Switch text select mode for PDF books with the `textLayer` option
+   * While on, dragging over text selects it instead of turning the page.
+   * Zooming in enables selection regardless of this mode.
+   * @param {boolean} enabled
+   */
+  setTextSelectMode(enabled) {
+    enabled = !!enabled;
+    if (enabled === this.isTextSelectMode) return;
+    
+    this.isTextSelectMode = enabled;
+    this._updateTextLayerState();
+    this.emit('textselectchange', enabled);
+  }
+  
+  /**
+   * Toggle text select mode
+   * @returns {boolean} - New state
+   */
+  toggleTextSelectMode() {
+    this.setTextSelectMode(!this.isTextSelectMode);
+    return this.isTextSelectMode;
+  }
+  
+  /**
+   * Rendered PDF page cache statistics, for debugging memory use
+   * @returns {Object|null} - { entries, pixels, bytes, maxPixels, maxBytes, hits, misses, evictions }, null without a PDF
+   */
+  getPdfCacheStats() {
+    return this.pdfLoader ? this.pdfLoader.getCacheStats() : null;
   }
   
   /**
@@ -834,12 +2452,13 @@ export class SimsekBook {
   startAutoPlay() {
     this.stopAutoPlay();
     this.autoPlayTimer = setInterval(() => {
-      if (this.getCurrentPage() >= this.getTotalPages() - 2) {
+      if (!this.pageFlip.canFlipNext()) {
         this.goToPage(0);
       } else {
         this.nextPage();
       }
     }, this.options.autoPlayInterval);
+    this.emit('autoplaystart');
   }
   
   /**
@@ -849,9 +2468,131 @@ export class SimsekBook {
     if (this.autoPlayTimer) {
       clearInterval(this.autoPlayTimer);
       this.autoPlayTimer = null;
+      this.emit('autoplaystop');
     }
   }
   
+  /**
+   * Serialize the viewer state to a plain JSON object
+   * @returns {Object} - { page, zoom: { level, panX, panY }, thumbnailsOpen, sound: { enabled, volume }, fullscreen, autoPlay }
+   */
+  getState() {
+    const zoomEnabled = this.zoomController && this.zoomController.isEnabled();
+    const pan = zoomEnabled ? this.zoomController.getPan() : { x: 0, y: 0 };
+    
+    return {
+      page: this.getCurrentPage(),
+      zoom: {
+        level: zoomEnabled ? this.zoomController.getZoom() : 1,
+        panX: pan.x,
+        panY: pan.y
+      },
+      thumbnailsOpen: this.thumbnailPanel ? this.thumbnailPanel.isVisible() : false,
+      sound: {
+        enabled: this.audioManager ? this.audioManager.isEnabled() : false,
+        volume: this.audioManager ? this.audioManager.getVolume() : 0
+      },
+      fullscreen: this.isFullscreen,
+      autoPlay: this.autoPlayTimer !== null
+    };
+  }
+  
+  /**
+   * Restore a state returned by getState() without page-turn animation
+   * Unknown or invalid fields are skipped with a warning, omitted fields are left unchanged.
+   * @param {Object} state - Viewer state
+   * @returns {Promise<boolean>} - False if any field was rejected
+   */
+  async setState(state) {
+    if (!state || typeof state !== 'object' || Array.isArray(state)) {
+      throw new TypeError('SimsekBook: setState() expects a state object');
+    }
+    
+    let valid = true;
+    const reject = (field, value) => {
+      console.warn(`SimsekBook: Ignoring invalid state field "${field}":`, value);
+      valid = false;
+    };
+    const isNumber = (value) => typeof value === 'number' && isFinite(value);
+    const knownFields = ['page', 'zoom', 'thumbnailsOpen', 'sound', 'fullscreen', 'autoPlay'];
+    
+    Object.keys(state).forEach((field) => {
+      if (!knownFields.includes(field)) reject(field, state[field]);
+    });
+    
+    if ('page' in state) {
+      const { page } = state;
+      if (Number.isInteger(page) && page >= 0 && page < this.getTotalPages()) {
+        await this.goToPage(page, { animate: false });
+      } else {
+        reject('page', page);
+      }
+    }
+    
+    // A book without zoom reports level 1 in getState(), there is nothing to restore
+    const zoom = this.zoomController;
+    if ('zoom' in state && zoom && zoom.isEnabled()) {
+      const { level, panX = 0, panY = 0 } = state.zoom || {};
+      const inRange = isNumber(level) &&
+        level >= zoom.options.minZoom && level <= zoom.options.maxZoom;
+      
+      if (inRange && isNumber(panX) && isNumber(panY)) {
+        zoom.setView(level, panX, panY);
+      } else {
+        reject('zoom', state.zoom);
+      }
+    }
+    
+    if ('thumbnailsOpen' in state) {
+      if (typeof state.thumbnailsOpen !== 'boolean' || !this.thumbnailPanel) {
+        reject('thumbnailsOpen', state.thumbnailsOpen);
+      } else if (state.thumbnailsOpen) {
+        this.thumbnailPanel.open();
+      } else {
+        this.thumbnailPanel.close();
+      }
+    }
+    
+    if ('sound' in state) {
+      const { enabled, volume } = state.sound || {};
+      const validEnabled = enabled === undefined || typeof enabled === 'boolean';
+      const validVolume = volume === undefined || (isNumber(volume) && volume >= 0 && volume <= 1);
+      
+      if (this.audioManager && validEnabled && validVolume) {
+        if (volume !== undefined) this.audioManager.setVolume(volume);
+        if (enabled !== undefined) {
+          this.audioManager.setEnabled(enabled);
+          if (this.soundBtn) {
+            this.soundBtn.textContent = enabled ? '🔊' : '🔇';
+          }
+        }
+      } else {
+        reject('sound', state.sound);
+      }
+    }
+    
+    if ('autoPlay' in state) {
+      if (typeof state.autoPlay !== 'boolean') {
+        reject('autoPlay', state.autoPlay);
+      } else if (state.autoPlay) {
+        this.startAutoPlay();
+      } else {
+        this.stopAutoPlay();
+      }
+    }
+    
+    // Browsers only allow entering fullscreen from a user gesture
+    if ('fullscreen' in state) {
+      if (typeof state.fullscreen !== 'boolean') {
+        reject('fullscreen', state.fullscreen);
+      } else if (state.fullscreen !== this.isFullscreen) {
+        await (state.fullscreen ? this.enterFullscreen() : this.exitFullscreen());
+      }
+    }
+    
+    return valid;
+  }
+  
   /**
    * Resize the book
    * @param {number} width - New width
@@ -871,19 +2612,31 @@ export class SimsekBook {
    * Destroy the instance and clean up
    */
   destroy() {
+    this.isDestroyed = true;
     this.stopAutoPlay();
     
     if (this.pageFlip) this.pageFlip.destroy();
+    this._clearHiResPages();
+    if (this.pdfRenderQueue) this.pdfRenderQueue.destroy();
     if (this.pdfLoader) this.pdfLoader.destroy();
     if (this.imageGallery) this.imageGallery.destroy();
     if (this.audioManager) this.audioManager.destroy();
     if (this.zoomController) this.zoomController.destroy();
     if (this.bookmarkManager) this.bookmarkManager.destroy();
     if (this.thumbnailPanel) this.thumbnailPanel.destroy();
+    if (this.tocPanel) this.tocPanel.destroy();
+    if (this.searchController) this.searchController.abort();
+    if (this.pdfSearch) this.pdfSearch.destroy();
+    if (this.searchPanel) this.searchPanel.destroy();
+    if (this.textLayer) this.textLayer.destroy();
+    if (this.passwordPrompt) this.passwordPrompt.destroy();
     if (this.keyboardNav) this.keyboardNav.destroy();
+    if (this.urlSync) this.urlSync.destroy();
     
     this.container.innerHTML = '';
-    this.container.classList.remove('simsek-book');
+    this.container.classList.remove('simsek-book', 'simsek-loading');
+    
+    this.removeAllListeners();
   }
 }
 
@@ -894,8 +2647,23 @@ export { ImageGallery } from './modules/image-gallery.js';
 export { AudioManager } from './modules/audio-manager.js';
 export { ZoomController } from './modules/zoom-controller.js';
 export { BookmarkManager } from './modules/bookmark-manager.js';
+export {
+  WebStorageAdapter,
+  LocalStorageAdapter,
+  SessionStorageAdapter,
+  IndexedDBAdapter,
+  RestStorageAdapter
+} from './modules/bookmark-storage.js';
 export { ThumbnailPanel } from './modules/thumbnail-panel.js';
+export { TocPanel } from './modules/toc-panel.js';
+export { PDFSearch } from './modules/pdf-search.js';
+export { SearchPanel } from './modules/search-panel.js';
+export { PDFTextLayer } from './modules/pdf-text-layer.js';
+export { PasswordPrompt } from './modules/password-prompt.js';
+export { PDFRenderQueue } from './modules/pdf-render-queue.js';
 export { KeyboardNav } from './modules/keyboard-nav.js';
+export { EventEmitter } from './modules/event-emitter.js';
+export { UrlSync } from './modules/url-sync.js';
 
 // UMD export for script tag usage
 if (typeof window !== 'undefined') {